@@ -0,0 +1,119 @@
+import { AMENITY_FIELDS } from "./constants.js";
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+const COUNT = "(\\d|one|two|three|four|five|six)";
+
+const toCount = (word) => NUMBER_WORDS[word] ?? parseInt(word, 10);
+
+// "No garden", "without a garage", "not chain free" or "parking: none" deny what the match names
+const isNegated = (text, match) =>
+    /\b(?:no|not|without)\s+(?:[\w'-]+\s+)?$/.test(text.slice(0, match.index)) ||
+    /^\s*[:-]?\s*(?:none|no)\b/.test(text.slice(match.index + match[0].length));
+
+// A count stated in the text ("two reception rooms"), or 1 with low confidence when the room is only
+// mentioned ("en-suite to the main bedroom"). A denied mention counts as none.
+const countMatcher = (noun, mentioned) => {
+    const counted = new RegExp(`\\b${COUNT}\\s+(?:separate\\s+)?${noun}s?\\b`);
+    return (text) => {
+        const match = text.match(counted);
+        if (match) return { value: toCount(match[1]) };
+        const mention = text.match(mentioned);
+        if (!mention) return null;
+        return isNegated(text, mention) ? { value: 0 } : { value: 1, confidence: "low" };
+    };
+};
+
+// Patterns in match order per attribute; the first pattern that matches gives the value, or false
+// when the text denies it
+const firstMatch = (rules) => (text) => {
+    for (const [value, pattern] of rules) {
+        const match = text.match(pattern);
+        if (match) return { value: isNegated(text, match) ? false : value };
+    }
+    return null;
+};
+
+const AMENITY_MATCHERS = {
+    garden: firstMatch([
+        ["private", /\b(?:private|rear|front|enclosed|landscaped|walled|lawned|south[- ]facing|west[- ]facing|own)\s+(?:\w+\s+)?gardens?\b/],
+        ["communal", /\b(?:communal|shared)\s+(?:\w+\s+)?gardens?\b|\bgardens?\s*:?\s*communal/],
+        ["private", /\bgardens?\s*:?\s*(?:private|yes)\b/],
+        ["unspecified", /^garden$|\bgardens?\b(?!\s+(?:road|street|lane|avenue|close|court|way|square))/],
+    ]),
+    parking: firstMatch([
+        ["driveway", /\bdriveway\b|\bdrive\b.{0,20}\bparking\b/],
+        ["garage", /\bgarage\b.{0,20}\bparking\b|\bparking\s*:?\s*garage/],
+        ["allocated", /\ballocated\s+(?:\w+\s+)?(?:parking|space)|\bparking\s+space\b|\bparking\s*:?\s*allocated/],
+        ["offStreet", /\boff[- ](?:street|road)\s+parking\b|\bparking\s*:?\s*off[- ]street/],
+        ["permit", /\b(?:permit|residents'?)\s+parking\b|\bparking\s+permit\b/],
+        ["communal", /\b(?:communal|secure|underground|gated)\s+(?:\w+\s+)?parking\b/],
+        ["onStreet", /\bon[- ](?:street|road)\s+parking\b|\bparking\s*:?\s*on[- ]street/],
+        ["unspecified", /\bparking\b/],
+    ]),
+    garage: firstMatch([
+        ["double", /\bdouble\s+(?:\w+\s+)?garage\b/],
+        ["integral", /\b(?:integral|integrated)\s+garage\b/],
+        ["single", /\bsingle\s+(?:\w+\s+)?garage\b/],
+        ["unspecified", /\bgarages?\b(?!\s+conversion)/],
+    ]),
+    chainFree: firstMatch([[true, /\bchain[- ]free\b|\bno\s+(?:onward\s+|upward\s+)?chain\b/]]),
+    newBuild: firstMatch([[true, /\bnew[- ]build\b|\bnewly\s+built\b|\bbrand\s+new\s+(?:home|house|apartment|flat)\b|^new ?home$/]]),
+    retirement: firstMatch([[true, /\bretirement\s+(?:home|property|apartment|flat|living|development|complex)\b|\bover\s+(?:55|60)s?\b|^retirement$/]]),
+    sharedOwnership: firstMatch([[true, /\bshared\s+ownership\b|^sharedownership$/]]),
+    auction: firstMatch([[true, /\bauction\b|\bmodern\s+method\s+of\s+auction\b/]]),
+    cashBuyersOnly: firstMatch([[true, /\bcash\s+(?:buyers?|purchasers?)\s+only\b|\bcash\s+only\b|\bnot\s+mortgageable\b/]]),
+    periodProperty: (text) => {
+        const era = text.match(/\b(victorian|edwardian|georgian|regency|tudor|1930s|art deco)\b/);
+        if (era) return { value: era[1] };
+        return /\bperiod\s+(?:property|home|house|cottage|features|conversion)\b|\bgrade\s+(?:i{1,2}\*?|2)\s+listed\b/.test(text)
+            ? { value: "period" }
+            : null;
+    },
+    receptionRooms: countMatcher("reception(?:\\s+rooms?)?", /\breception\s+rooms?\b/),
+    enSuites: countMatcher("en[- ]?suite", /\ben[- ]?suites?\b/),
+};
+
+// Where evidence comes from, most reliable first: Rightmove's own flags and detail rows, the
+// search result keywords, the agent's key features and finally the free-text description.
+const SOURCES = [
+    ["listing", "high"],
+    ["details", "high"],
+    ["features", "high"],
+    ["keyFeatures", "high"],
+    ["description", "medium"],
+];
+
+const listingFlags = (record) => [
+    record.isNewHome && "new home",
+    record.price?.sharedOwnership && "shared ownership",
+    record.price?.qualifier === "auctionGuide" && "auction",
+].filter(Boolean);
+
+const textsBySource = (record) => ({
+    listing: listingFlags(record),
+    details: Object.entries(record.details || {}).map(([key, value]) => `${key}: ${value}`),
+    features: record.features || [],
+    keyFeatures: record.keyFeatures || [],
+    description: record.description ? [record.description] : [],
+});
+
+// Tags typed amenities from a listing record. `amenities` has every AMENITY_FIELDS key, null when
+// nothing mentions it; `amenitySources` says where each found value came from and how far to trust it.
+export const tagAmenities = (record) => {
+    const texts = textsBySource(record);
+    const amenities = Object.fromEntries(AMENITY_FIELDS.map((field) => [field, null]));
+    const amenitySources = {};
+    for (const field of AMENITY_FIELDS) {
+        for (const [source, confidence] of SOURCES) {
+            const match = texts[source].map((text) => AMENITY_MATCHERS[field](String(text).toLowerCase().trim())).find(Boolean);
+            if (!match) continue;
+            // A vague match ("parking", one en-suite mentioned) gives way to a specific one from a later source
+            const vague = match.value === "unspecified" || match.confidence === "low";
+            if (amenitySources[field] && vague) continue;
+            amenities[field] = match.value;
+            amenitySources[field] = { source, confidence: match.confidence || confidence };
+            if (!vague) break;
+        }
+    }
+    return { amenities, amenitySources };
+};
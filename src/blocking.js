@@ -0,0 +1,88 @@
+import { log } from "apify";
+
+import {
+    BACKOFF_BASE_MS,
+    BACKOFF_MAX_MS,
+    BLOCK_PATTERN,
+    BLOCKING_RESPONSE_CLASSES,
+    CAPTCHA_PATTERN,
+    CONTENT_MARKERS,
+    RESPONSE_CLASSES,
+    STEALTHY_HEADERS,
+} from "./constants.js";
+import { getRandomUserAgent } from "./utils.js";
+
+// A header set that agrees with its User-Agent: client hints only for Chromium browsers, with the
+// brand and platform they would send, and Firefox's own Accept header
+export const buildHeaderFingerprint = (userAgent = getRandomUserAgent()) => {
+    const headers = { ...STEALTHY_HEADERS, "User-Agent": userAgent };
+    const chromeVersion = userAgent.match(/Chrome\/(\d+)/)?.[1];
+    if (!chromeVersion) {
+        delete headers["Sec-Ch-Ua"];
+        delete headers["Sec-Ch-Ua-Mobile"];
+        delete headers["Sec-Ch-Ua-Platform"];
+        if (/Firefox\//.test(userAgent)) headers.Accept = "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8";
+        return headers;
+    }
+
+    const brand = /Edg\//.test(userAgent) ? "Microsoft Edge" : "Google Chrome";
+    headers["Sec-Ch-Ua"] = `"Chromium";v="${chromeVersion}", "${brand}";v="${chromeVersion}", "Not-A.Brand";v="99"`;
+    if (/Macintosh/.test(userAgent)) headers["Sec-Ch-Ua-Platform"] = '"macOS"';
+    else if (/Linux/.test(userAgent)) headers["Sec-Ch-Ua-Platform"] = '"Linux"';
+    else headers["Sec-Ch-Ua-Platform"] = '"Windows"';
+    return headers;
+};
+
+// Sorts a response into one of RESPONSE_CLASSES. A page with Rightmove content is ok whatever else it
+// contains, so a captcha widget on an enquiry form doesn't count as a challenge.
+export const classifyResponse = ({ statusCode, body }) => {
+    const html = body?.toString() || "";
+    if (statusCode === 429 || statusCode === 503) return "rateLimited";
+    if (statusCode === 404 || statusCode === 410) return "notFound";
+    if (statusCode < 400 && CONTENT_MARKERS.some((marker) => html.includes(marker))) return "ok";
+    if (CAPTCHA_PATTERN.test(html)) return "captcha";
+    if (statusCode === 401 || statusCode === 403 || BLOCK_PATTERN.test(html)) return "blocked";
+    return "emptyShell";
+};
+
+// Exponential backoff with jitter before retrying a blocked request
+export const backoffDelay = (retryCount) =>
+    Math.min(BACKOFF_BASE_MS * 2 ** retryCount, BACKOFF_MAX_MS) * (0.75 + Math.random() * 0.5);
+
+// Counts responses per class and steers concurrency by the block rate over the last `windowSize`
+// responses. record() returns a new concurrency limit when it should change: halved when a fifth or
+// more are blocked, raised by one (up to maxConcurrency) after a clean window.
+export const createThrottle = ({ maxConcurrency, windowSize = 20 }) => {
+    const counts = Object.fromEntries(RESPONSE_CLASSES.map((responseClass) => [responseClass, 0]));
+    const recent = [];
+    let sinceAdjustment = 0;
+
+    const record = (responseClass, currentConcurrency) => {
+        counts[responseClass] += 1;
+        recent.push(BLOCKING_RESPONSE_CLASSES.includes(responseClass));
+        if (recent.length > windowSize) recent.shift();
+        sinceAdjustment += 1;
+        if (sinceAdjustment < windowSize / 2) return null;
+
+        const blockRate = recent.filter(Boolean).length / recent.length;
+        if (blockRate >= 0.2 && currentConcurrency > 1) {
+            sinceAdjustment = 0;
+            const lowered = Math.max(1, Math.floor(currentConcurrency / 2));
+            log.warning(`  ⚠ ${Math.round(blockRate * 100)}% of recent requests blocked - concurrency lowered to ${lowered}`);
+            return lowered;
+        }
+        if (blockRate === 0 && recent.length === windowSize && currentConcurrency < maxConcurrency) {
+            sinceAdjustment = 0;
+            log.info(`  No recent blocks - concurrency raised to ${currentConcurrency + 1}`);
+            return currentConcurrency + 1;
+        }
+        return null;
+    };
+
+    return {
+        counts,
+        record,
+        getState: () => ({ counts: { ...counts } }),
+        restoreState: (state) => Object.assign(counts, state.counts),
+    };
+};
@@ -0,0 +1,303 @@
+export const BASE_URL = "https://www.rightmove.co.uk";
+export const DEFAULT_SEARCH_URL = `${BASE_URL}/property-for-sale/find.html`;
+const RENT_SEARCH_URL = `${BASE_URL}/property-to-rent/find.html`;
+export const SOLD_PRICES_URL = `${BASE_URL}/house-prices/result`;
+
+export const MODES = ["listings", "soldPrices", "agentBranch"];
+
+// Search label of the listings given directly in `properties`
+export const PROPERTY_LIST_LABEL = "properties";
+// Wording of a property page kept up after the listing was taken down
+export const REMOVED_LISTING_PATTERN = /this property has been removed|property is no longer (?:on the market|available|advertised)|listing (?:has been|was) removed/i;
+
+// Branch profiles live at /estate-agents/agent/<Company>/<Town>-<branchId>.html
+export const BRANCH_URL_PATTERN = /\/estate-agents\/agent\/[^?#]*?-(\d+)\.html/i;
+
+export const SEARCH_URLS = {
+    buy: DEFAULT_SEARCH_URL,
+    rent: RENT_SEARCH_URL,
+};
+
+// Rightmove offers different property types and "must have" / "don't show" toggles per channel
+export const PROPERTY_TYPES = {
+    buy: ["detached", "semi-detached", "terraced", "flat", "bungalow", "land", "park-home"],
+    rent: ["detached", "semi-detached", "terraced", "flat", "bungalow", "land", "park-home", "private-halls"],
+};
+
+export const MUST_HAVE_OPTIONS = {
+    buy: ["garden", "parking", "newHome", "retirement", "sharedOwnership", "auction"],
+    rent: ["garden", "parking", "houseShare", "retirement", "student"],
+};
+
+export const DONT_SHOW_OPTIONS = {
+    buy: ["newHome", "retirement", "sharedOwnership", "auction"],
+    rent: ["houseShare", "retirement", "student"],
+};
+
+export const ADDED_TO_SITE_OPTIONS = ["1", "3", "7", "14"];
+
+export const RADIUS_OPTIONS = ["0.0", "0.25", "0.5", "1.0", "3.0", "5.0", "10.0", "15.0", "20.0", "30.0", "40.0"];
+
+export const SORT_TYPES = {
+    highestPrice: "2",
+    lowestPrice: "1",
+    newestListed: "6",
+    oldestListed: "10",
+};
+
+export const MAX_BEDROOMS = 10;
+
+// Multipliers to convert a rent quoted at the given frequency into a monthly amount
+export const RENT_FREQUENCY_TO_MONTHLY = {
+    weekly: 52 / 12,
+    monthly: 1,
+    quarterly: 1 / 3,
+    yearly: 1 / 12,
+};
+
+export const UK_REGIONS = {
+    london: "REGION^87490",
+    manchester: "REGION^904",
+    birmingham: "REGION^60",
+    leeds: "REGION^787",        // Corrected - verified working
+    liverpool: "REGION^1520",
+    bristol: "REGION^239",
+    edinburgh: "REGION^339",
+    glasgow: "REGION^394",
+    cardiff: "REGION^306",
+    belfast: "REGION^5882",
+};
+
+export const LOCATION_TYPEAHEAD_URL = "https://los.rightmove.co.uk/typeahead";
+export const LOCATION_CACHE_STORE = "rightmove-location-cache";
+export const LOCATION_TYPES = ["REGION", "OUTCODE", "POSTCODE", "STATION"];
+export const LOCATION_IDENTIFIER_PATTERN = new RegExp(`^(${LOCATION_TYPES.join("|")})\\^\\d+$`);
+export const UK_POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)(\s*\d[A-Z]{2})?$/i;
+
+export const USER_AGENTS = [
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0",
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:123.0) Gecko/20100101 Firefox/123.0",
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15",
+    "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+];
+
+export const STEALTHY_HEADERS = {
+    Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
+    "Accept-Encoding": "gzip, deflate, br",
+    "Accept-Language": "en-GB,en-US;q=0.9,en;q=0.8",
+    DNT: "1",
+    "Sec-Fetch-Dest": "document",
+    "Sec-Fetch-Mode": "navigate",
+    "Sec-Fetch-Site": "none",
+    "Sec-Fetch-User": "?1",
+    "Upgrade-Insecure-Requests": "1",
+    "Cache-Control": "max-age=0",
+    Pragma: "no-cache",
+    "Sec-Ch-Ua": '"Chromium";v="124", "Not;A=Brand";v="8"',
+    "Sec-Ch-Ua-Mobile": "?0",
+    "Sec-Ch-Ua-Platform": '"Windows"',
+};
+
+// Used to tell a county apart from a town in free-text display addresses
+export const UK_COUNTIES = new Set(
+    [
+        "Aberdeenshire", "Angus", "Antrim", "Argyll and Bute", "Armagh", "Avon", "Ayrshire", "Bedfordshire",
+        "Berkshire", "Buckinghamshire", "Cambridgeshire", "Ceredigion", "Cheshire", "City of London", "Clwyd",
+        "Cornwall", "County Durham", "Cumbria", "Derbyshire", "Devon", "Dorset", "Down", "Dumfries and Galloway",
+        "Dyfed", "East Lothian", "East Riding of Yorkshire", "East Sussex", "Essex", "Fermanagh", "Fife",
+        "Gloucestershire", "Greater London", "Greater Manchester", "Gwent", "Gwynedd", "Hampshire", "Herefordshire",
+        "Hertfordshire", "Highland", "Isle of Wight", "Kent", "Lancashire", "Leicestershire", "Lincolnshire",
+        "Londonderry", "Merseyside", "Mid Glamorgan", "Middlesex", "Midlothian", "Norfolk", "North Yorkshire",
+        "Northamptonshire", "Northumberland", "Nottinghamshire", "Oxfordshire", "Perth and Kinross", "Powys",
+        "Rutland", "Shropshire", "Somerset", "South Glamorgan", "South Yorkshire", "Staffordshire", "Suffolk",
+        "Surrey", "Tyne and Wear", "Tyrone", "Warwickshire", "West Glamorgan", "West Lothian", "West Midlands",
+        "West Sussex", "West Yorkshire", "Wiltshire", "Worcestershire",
+    ].map((county) => county.toLowerCase()),
+);
+
+export const SQ_FT_PER_SQ_M = 10.7639;
+export const KM_PER_MILE = 1.609344;
+
+export const DEFAULT_MONITORING_STORE = "rightmove-monitoring";
+
+export const DEFAULT_MEDIA_STORE = "rightmove-media";
+
+// End-of-run exports, written to the default key-value store
+export const EXPORT_FORMATS = {
+    csv: { key: "dataset.csv", contentType: "text/csv; charset=utf-8" },
+    geojson: { key: "dataset.geojson", contentType: "application/geo+json" },
+    ndjson: { key: "dataset.ndjson", contentType: "application/x-ndjson" },
+};
+
+// Typed attributes tagged from a listing's flags, details, key features and description
+export const AMENITY_FIELDS = [
+    "garden",
+    "parking",
+    "garage",
+    "chainFree",
+    "newBuild",
+    "retirement",
+    "sharedOwnership",
+    "auction",
+    "cashBuyersOnly",
+    "periodProperty",
+    "receptionRooms",
+    "enSuites",
+];
+
+// "object" fields of the dataset views that spread over one CSV column per key (dotted keys reach into
+// nested objects); any other object is written as JSON
+export const EXPORT_OBJECT_COLUMNS = {
+    price: [
+        "amount",
+        "currency",
+        "displayPrice",
+        "qualifier",
+        "frequency",
+        "monthlyAmount",
+        "minAmount",
+        "maxAmount",
+        "priceOnApplication",
+        "sharedOwnership.sharePercent",
+        "sharedOwnership.fullMarketValue",
+    ],
+    agent: ["name", "branchId", "phone", "address", "url"],
+    location: ["lat", "lng"],
+    amenities: AMENITY_FIELDS,
+};
+
+// Webhook notifications for newly scraped listings
+export const WEBHOOK_FORMATS = ["json", "slack"];
+export const WEBHOOK_SIGNATURE_HEADER = "X-Signature-256";
+export const WEBHOOK_ATTEMPTS = 4;
+export const WEBHOOK_BACKOFF_MS = 1000;
+
+// Data-quality report: fields measured on every listing record, each with the fill rate below which it
+// raises an alert. Detail fields are only measured on records scraped from a property page; a card's
+// main image counts as its images.
+export const QUALITY_FIELDS = [
+    { field: "price", minRate: 0.9 },
+    { field: "address", minRate: 0.95 },
+    { field: "bedrooms", minRate: 0.7 },
+    { field: "bathrooms", minRate: 0.4 },
+    { field: "propertyType", minRate: 0.7 },
+    { field: "images", minRate: 0.8 },
+    { field: "agent", minRate: 0.8 },
+    { field: "location", minRate: 0.7 },
+    { field: "addedDate", minRate: 0.5 },
+    { field: "title", minRate: 0.8, detailOnly: true },
+    { field: "description", minRate: 0.8, detailOnly: true },
+    { field: "keyFeatures", minRate: 0.5, detailOnly: true },
+    { field: "tenure", minRate: 0.3, detailOnly: true },
+    { field: "floorplans", minRate: 0, detailOnly: true },
+    { field: "councilTaxBand", minRate: 0, detailOnly: true },
+    { field: "epcCurrentRating", minRate: 0, detailOnly: true },
+    { field: "floorAreaSqFt", minRate: 0, detailOnly: true },
+];
+export const DETAIL_EXTRACTION_METHODS = ["page-model", "json-ld", "html-parse", "failed"];
+// Fields measured on fewer records than this are reported but never alert
+export const QUALITY_MIN_SAMPLE = 10;
+export const QUALITY_REPORT_KEY = "QUALITY_REPORT";
+export const DEFAULT_QUALITY_STORE = "rightmove-quality";
+
+// Asking price statistics per postcode district, property type and bedroom count, written at the end of a run
+export const MARKET_SUMMARY_KEY = "MARKET_SUMMARY";
+export const OFFER_STATUSES = ["underOffer", "sstc", "letAgreed"];
+
+// Crawl progress in the run's default key-value store, so a migrated or resurrected run carries on
+export const CRAWL_STATE_KEY = "CRAWL_STATE";
+export const MEDIA_TYPES = ["images", "floorplans", "epcGraphs", "brochures"];
+// Rightmove's resized copies; "original" fetches the full upload
+export const IMAGE_SIZES = { small: "476x317", medium: "656x437", original: null };
+export const MEDIA_CONTENT_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp", "application/pdf"];
+// Files of one property fetched at a time, and the retries each gets
+export const MEDIA_CONCURRENCY = 4;
+export const MEDIA_RETRIES = 2;
+
+// Listing content that counts towards the "updated" change type; price and status are tracked separately
+export const MONITORED_CONTENT_FIELDS = [
+    "title",
+    "address",
+    "description",
+    "keyFeatures",
+    "bedrooms",
+    "bathrooms",
+    "propertyType",
+    "images",
+    "floorplans",
+    "tenure",
+];
+
+// Listings from different agents are compared on their first photos' perceptual hashes (at most
+// DUPLICATE_HASH_DISTANCE of 64 bits apart) and on asking prices within DUPLICATE_PRICE_TOLERANCE
+export const DUPLICATE_IMAGE_COUNT = 2;
+export const DUPLICATE_HASH_DISTANCE = 6;
+export const DUPLICATE_PRICE_TOLERANCE = 0.1;
+// Photos are hashed a few at a time with a short timeout and no retry; one that fails is just not compared
+export const DUPLICATE_HASH_CONCURRENCY = 4;
+export const DUPLICATE_HASH_TIMEOUT_SECONDS = 15;
+// The cross-run duplicate index lives in the monitoring store; listings unseen this long drop out
+export const DUPLICATE_INDEX_KEY = "duplicate-index";
+export const DUPLICATE_INDEX_MAX_AGE_DAYS = 90;
+export const ADDRESS_ABBREVIATIONS = {
+    rd: "road",
+    st: "street",
+    ave: "avenue",
+    ln: "lane",
+    dr: "drive",
+    cl: "close",
+    ct: "court",
+    gdns: "gardens",
+    pl: "place",
+    sq: "square",
+    cres: "crescent",
+    tce: "terrace",
+};
+
+// Rightmove serves at most ~42 pages of 24 results per search; larger searches are split into bands
+export const SEARCH_RESULT_CAP = 1000;
+
+// The steps in Rightmove's own price dropdowns (rent is per calendar month), used as band boundaries
+export const PRICE_BAND_STEPS = {
+    buy: [
+        50000, 60000, 70000, 80000, 90000, 100000, 110000, 120000, 125000, 130000, 140000, 150000, 160000, 170000,
+        175000, 180000, 190000, 200000, 210000, 220000, 230000, 240000, 250000, 260000, 270000, 280000, 290000, 300000,
+        325000, 350000, 375000, 400000, 425000, 450000, 475000, 500000, 550000, 600000, 650000, 700000, 800000, 900000,
+        1000000, 1250000, 1500000, 1750000, 2000000, 2500000, 3000000, 4000000, 5000000, 7500000, 10000000, 15000000,
+        20000000,
+    ],
+    rent: [
+        100, 150, 200, 250, 300, 350, 400, 450, 500, 600, 700, 800, 900, 1000, 1100, 1200, 1250, 1300, 1400, 1500, 1750,
+        2000, 2250, 2500, 2750, 3000, 3500, 4000, 4500, 5000, 5500, 6000, 6500, 7000, 8000, 9000, 10000, 12500, 15000,
+        17500, 20000, 25000, 30000, 35000, 40000,
+    ],
+};
+
+// How crawled responses are classified; every class but "ok" and "notFound" retires the session and retries
+export const RESPONSE_CLASSES = ["ok", "notFound", "blocked", "captcha", "rateLimited", "emptyShell"];
+export const BLOCKING_RESPONSE_CLASSES = ["blocked", "captcha", "rateLimited", "emptyShell"];
+
+// Any of these means the page carries real Rightmove content, whatever else it includes
+export const CONTENT_MARKERS = [
+    "window.jsonModel",
+    "__NEXT_DATA__",
+    "window.PAGE_MODEL",
+    "window.__PRELOADED_STATE__",
+    "application/ld+json",
+    "propertyCard",
+];
+export const CAPTCHA_PATTERN = /captcha|challenge-platform|px-captcha|verify (?:that )?you are (?:a )?human/i;
+export const BLOCK_PATTERN = /access denied|request (?:was )?blocked|has been blocked|forbidden|unusual traffic/i;
+
+export const BACKOFF_BASE_MS = 2000;
+export const BACKOFF_MAX_MS = 60000;
+export const MAX_CONCURRENCY = 5;
+
+export const REQUEST_DELAY_MS = 500;
+export const REQUEST_JITTER = 300;
+export const MAX_RETRIES = 5;
+export const DEFAULT_PROPERTIES_PER_PAGE = 24;
+export const DATASET_BATCH_SIZE = 15;
+export const TIMEOUT_SECONDS = 60;
@@ -0,0 +1,215 @@
+import { Actor, log } from "apify";
+import { gotScraping } from "got-scraping";
+import jpeg from "jpeg-js";
+
+import {
+    ADDRESS_ABBREVIATIONS,
+    DEFAULT_PROPERTIES_PER_PAGE,
+    DUPLICATE_HASH_CONCURRENCY,
+    DUPLICATE_HASH_DISTANCE,
+    DUPLICATE_HASH_TIMEOUT_SECONDS,
+    DUPLICATE_INDEX_KEY,
+    DUPLICATE_INDEX_MAX_AGE_DAYS,
+    DUPLICATE_PRICE_TOLERANCE,
+    UK_POSTCODE_PATTERN,
+} from "./constants.js";
+import { sizeImageUrl } from "./media.js";
+import { DAY_MS, runWithConcurrency } from "./utils.js";
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Difference hash: the image shrunk to 9x8 greys, one bit per pair of neighbouring cells in a row.
+// Resizing, recompression and small colour changes leave most of the 64 bits alone.
+export const computeImageHash = ({ width, height, data }) => {
+    const sums = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+    const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor((y * HASH_HEIGHT) / height);
+        for (let x = 0; x < width; x++) {
+            const cell = row * HASH_WIDTH + Math.floor((x * HASH_WIDTH) / width);
+            const offset = (y * width + x) * 4;
+            sums[cell] += 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+            counts[cell] += 1;
+        }
+    }
+    const grey = (row, column) => sums[row * HASH_WIDTH + column] / (counts[row * HASH_WIDTH + column] || 1);
+
+    let bits = "";
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+        for (let column = 0; column < HASH_WIDTH - 1; column++) {
+            bits += grey(row, column) > grey(row, column + 1) ? "1" : "0";
+        }
+    }
+    return bits.match(/.{4}/g).map((nibble) => parseInt(nibble, 2).toString(16)).join("");
+};
+
+const toBits = (hash) => [...hash].map((digit) => parseInt(digit, 16).toString(2).padStart(4, "0")).join("");
+
+export const hammingDistance = (a, b) => {
+    const [bitsA, bitsB] = [toBits(a), toBits(b)];
+    let distance = 0;
+    for (let i = 0; i < bitsA.length; i++) {
+        if (bitsA[i] !== bitsB[i]) distance += 1;
+    }
+    return distance;
+};
+
+// The street and town of a display address, lower-cased with common abbreviations spelled out, so
+// "12 Kings Rd., Harrogate, HG1" and "12 Kings Road, Harrogate, North Yorkshire" agree
+export const normaliseAddress = (address) => {
+    if (!address || address === "N/A") return null;
+    const parts = String(address)
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .split(",")
+        .map((part) =>
+            part
+                .replace(/[^a-z0-9 ]/g, " ")
+                .split(/\s+/)
+                .filter(Boolean)
+                .map((word) => ADDRESS_ABBREVIATIONS[word] || word)
+                .join(" "),
+        )
+        .filter((part) => part && !UK_POSTCODE_PATTERN.test(part));
+    return parts.slice(0, 2).join(", ") || null;
+};
+
+const normalisePropertyType = (propertyType) =>
+    String(propertyType || "")
+        .toLowerCase()
+        .replace(/\bapartment\b/, "flat")
+        .replace(/\bhouse\b/, "")
+        .replace(/[^a-z]/g, "") || null;
+
+const describeListing = (record) => ({
+    address: normaliseAddress(record.address),
+    outcode: record.addressParts?.outcode || null,
+    postcode: record.addressParts?.postcode || null,
+    branchId: record.agent?.branchId ?? null,
+    bedrooms: record.bedrooms ?? null,
+    propertyType: normalisePropertyType(record.propertyType),
+    price: record.price?.amount ?? null,
+});
+
+const conflicts = (a, b) => a != null && b != null && a !== b;
+
+// Two listings are the same home when they come from different agent branches, nothing known about
+// them disagrees, their asking prices are close and one of their photos matches. Display addresses are
+// usually just the street, so an address match also needs the same full postcode.
+export const isDuplicate = (a, b) => {
+    if (a.branchId != null && a.branchId === b.branchId) return false;
+    if (conflicts(a.bedrooms, b.bedrooms) || conflicts(a.propertyType, b.propertyType) || conflicts(a.postcode, b.postcode)) return false;
+    if (!a.price || !b.price || Math.abs(a.price - b.price) > DUPLICATE_PRICE_TOLERANCE * Math.max(a.price, b.price)) return false;
+    if (a.address && a.address === b.address && a.postcode && a.postcode === b.postcode) return true;
+    return a.imageHashes.some((hash) => b.imageHashes.some((other) => hammingDistance(hash, other) <= DUPLICATE_HASH_DISTANCE));
+};
+
+// Groups listings of the same home under the property ID of the first one seen, which is the group's
+// canonical record. Listings are compared within their outcode. With a store, the index of earlier
+// runs is loaded first, so a listing keeps its group from run to run and new ones can join it.
+export const createDuplicateDetector = async ({ storeName = null, imageCount, proxyConfig }) => {
+    const store = storeName ? await Actor.openKeyValueStore(storeName) : null;
+    const index = new Map();
+    const buckets = new Map();
+    const imageHashes = new Map();
+    const counts = { duplicates: 0, imagesHashed: 0, imagesFailed: 0 };
+
+    const addToIndex = (entry) => {
+        index.set(entry.propertyId, entry);
+        const bucket = buckets.get(entry.outcode || "") || [];
+        bucket.push(entry);
+        buckets.set(entry.outcode || "", bucket);
+    };
+
+    const saved = await store?.getValue(DUPLICATE_INDEX_KEY);
+    const cutoff = Date.now() - DUPLICATE_INDEX_MAX_AGE_DAYS * DAY_MS;
+    for (const entry of Object.values(saved?.properties || {})) {
+        if (Date.parse(entry.lastSeenAt) >= cutoff) addToIndex(entry);
+    }
+
+    const hashImage = async (url) => {
+        const response = await gotScraping({
+            url: sizeImageUrl(url, "small"),
+            proxyUrl: proxyConfig ? await proxyConfig.newUrl() : undefined,
+            responseType: "buffer",
+            timeout: { request: DUPLICATE_HASH_TIMEOUT_SECONDS * 1000 },
+            retry: { limit: 0 },
+        });
+        if (response.statusCode !== 200) throw new Error(`HTTP ${response.statusCode}`);
+        return computeImageHash(jpeg.decode(response.body, { useTArray: true, maxMemoryUsageInMB: 64 }));
+    };
+
+    return {
+        counts,
+
+        // Longest one request handler's hashing can take: the photos of a search page's cards, or of one
+        // detail page, DUPLICATE_HASH_CONCURRENCY at a time
+        maxDurationSecs: Math.ceil((DEFAULT_PROPERTIES_PER_PAGE * imageCount) / DUPLICATE_HASH_CONCURRENCY) * DUPLICATE_HASH_TIMEOUT_SECONDS,
+
+        getState: () => ({ index, imageHashes, counts: { ...counts } }),
+        restoreState(state) {
+            index.clear();
+            buckets.clear();
+            for (const entry of state.index.values()) addToIndex(entry);
+            for (const [propertyId, hashes] of state.imageHashes) imageHashes.set(propertyId, hashes);
+            Object.assign(counts, state.counts);
+        },
+
+        // Hashes the listings' first photos while their URLs are still remote; listings hashed on an
+        // earlier run are not fetched again
+        async hashImages(records) {
+            if (!imageCount) return;
+            const hashed = new Map();
+            const photos = [];
+            for (const { propertyId, images, image } of records) {
+                if (hashed.has(propertyId) || imageHashes.has(propertyId) || index.get(propertyId)?.imageHashes.length) continue;
+                hashed.set(propertyId, []);
+                (images?.length ? images : [image])
+                    .filter((url) => /^https?:\/\//.test(url || ""))
+                    .slice(0, imageCount)
+                    .forEach((url, position) => photos.push({ propertyId, position, url }));
+            }
+            await runWithConcurrency(photos, DUPLICATE_HASH_CONCURRENCY, async ({ propertyId, position, url }) => {
+                try {
+                    hashed.get(propertyId)[position] = await hashImage(url);
+                    counts.imagesHashed += 1;
+                } catch (error) {
+                    counts.imagesFailed += 1;
+                    log.debug(`  Could not hash ${url}: ${error.message}`);
+                }
+            });
+            for (const [propertyId, hashes] of hashed) imageHashes.set(propertyId, hashes.filter(Boolean));
+        },
+
+        // Returns the record with its duplicateGroupId and isCanonical flag
+        assign(record) {
+            const { propertyId } = record;
+            const known = index.get(propertyId);
+            const entry = {
+                propertyId,
+                ...describeListing(record),
+                imageHashes: imageHashes.get(propertyId) || known?.imageHashes || [],
+                groupId: known?.groupId ?? null,
+                lastSeenAt: record.scrapedAt || new Date().toISOString(),
+            };
+            imageHashes.delete(propertyId);
+
+            if (!entry.groupId) {
+                const match = (buckets.get(entry.outcode || "") || []).find((other) => isDuplicate(entry, other));
+                entry.groupId = match ? match.groupId : propertyId;
+            }
+            if (known) Object.assign(known, entry);
+            else addToIndex(entry);
+
+            const isCanonical = entry.groupId === propertyId;
+            if (!isCanonical) counts.duplicates += 1;
+            return { ...record, duplicateGroupId: entry.groupId, isCanonical };
+        },
+
+        async save() {
+            if (!store) return;
+            await store.setValue(DUPLICATE_INDEX_KEY, { updatedAt: new Date().toISOString(), properties: Object.fromEntries(index) });
+        },
+    };
+};
@@ -0,0 +1,125 @@
+import { readFile } from "node:fs/promises";
+
+import { Actor, log } from "apify";
+import { Dataset } from "crawlee";
+
+import { EXPORT_FORMATS, EXPORT_OBJECT_COLUMNS } from "./constants.js";
+
+const DATASET_SCHEMA_URL = new URL("../.actor/dataset_schema.json", import.meta.url);
+const PAGE_SIZE = 1000;
+
+// The export columns are the fields of the dataset views in the order they first appear, so the CSV
+// lines up with what the console shows. A field's view format decides how it is flattened; one shown as
+// text in one view and as an object in another is flattened as the object.
+export const loadExportFields = async () => {
+    const { views } = JSON.parse(await readFile(DATASET_SCHEMA_URL, "utf8"));
+    const fields = new Map();
+    for (const view of Object.values(views)) {
+        for (const field of view.transformation.fields) {
+            const format = view.display.properties[field]?.format || "text";
+            if (!fields.has(field) || fields.get(field) === "text") fields.set(field, format);
+        }
+    }
+    return [...fields].map(([field, format]) => ({ field, format }));
+};
+
+export const csvColumns = (fields) =>
+    fields.flatMap(({ field, format }) =>
+        format === "object" && EXPORT_OBJECT_COLUMNS[field]
+            ? EXPORT_OBJECT_COLUMNS[field].map((key) => `${field}.${key}`)
+            : [field],
+    );
+
+// Agents were once plain name strings, and detail-page locations keep Rightmove's latitude/longitude
+const normaliseObject = (field, value) => {
+    if (field === "agent" && typeof value === "string") return { name: value };
+    if (field === "location" && value?.latitude != null) return { lat: value.latitude, lng: value.longitude };
+    return value;
+};
+
+const flattenValue = (value, format) => {
+    if (value == null) return null;
+    if (format === "array" && Array.isArray(value)) {
+        return value.every((item) => item == null || typeof item !== "object")
+            ? value.filter((item) => item != null).join(" | ")
+            : JSON.stringify(value);
+    }
+    return typeof value === "object" ? JSON.stringify(value) : value;
+};
+
+// One flat row per record: object fields spread over their EXPORT_OBJECT_COLUMNS, scalar arrays joined
+// with " | ", anything else still nested written as JSON
+export const flattenRecord = (record, fields) => {
+    const row = {};
+    for (const { field, format } of fields) {
+        const value = normaliseObject(field, record[field]);
+        if (format === "object" && EXPORT_OBJECT_COLUMNS[field]) {
+            for (const key of EXPORT_OBJECT_COLUMNS[field]) {
+                const cell = key.split(".").reduce((inner, part) => inner?.[part], value);
+                row[`${field}.${key}`] = flattenValue(cell, "text");
+            }
+        } else {
+            row[field] = flattenValue(value, format);
+        }
+    }
+    return row;
+};
+
+const csvCell = (value) => {
+    if (value == null) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvLine = (values) => values.map(csvCell).join(",");
+
+export const toGeoJsonFeature = (record, fields) => {
+    const location = normaliseObject("location", record.location);
+    const lat = Number(location?.lat);
+    const lng = Number(location?.lng);
+    if (!location || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    const { "location.lat": _lat, "location.lng": _lng, ...properties } = flattenRecord(record, fields);
+    return { type: "Feature", id: record.propertyId ?? null, geometry: { type: "Point", coordinates: [lng, lat] }, properties };
+};
+
+// Writes the run's dataset to the default key-value store in each requested format and returns
+// { format: { key, records } } for the OUTPUT record
+export const exportDataset = async (formats) => {
+    if (formats.length === 0) return null;
+    const fields = await loadExportFields();
+    const columns = csvColumns(fields);
+    const csvLines = [toCsvLine(columns)];
+    const ndjsonLines = [];
+    const features = [];
+
+    const dataset = await Dataset.open();
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { items } = await dataset.getData({ offset, limit: PAGE_SIZE });
+        for (const record of items) {
+            if (formats.includes("csv")) {
+                const row = flattenRecord(record, fields);
+                csvLines.push(toCsvLine(columns.map((column) => row[column])));
+            }
+            if (formats.includes("ndjson")) ndjsonLines.push(JSON.stringify(record));
+            if (formats.includes("geojson")) {
+                const feature = toGeoJsonFeature(record, fields);
+                if (feature) features.push(feature);
+            }
+        }
+        if (items.length < PAGE_SIZE) break;
+    }
+
+    const contents = {
+        csv: { body: `${csvLines.join("\r\n")}\r\n`, records: csvLines.length - 1 },
+        ndjson: { body: ndjsonLines.map((line) => `${line}\n`).join(""), records: ndjsonLines.length },
+        geojson: { body: JSON.stringify({ type: "FeatureCollection", features }), records: features.length },
+    };
+    const exported = {};
+    for (const format of formats) {
+        const { key, contentType } = EXPORT_FORMATS[format];
+        await Actor.setValue(key, contents[format].body, { contentType });
+        exported[format] = { key, records: contents[format].records };
+        log.info(`  Exported ${contents[format].records} records to ${key}`);
+    }
+    return exported;
+};
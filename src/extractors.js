@@ -0,0 +1,967 @@
+import { createHash } from "node:crypto";
+
+import { log } from "apify";
+import { load as cheerioLoad } from "cheerio";
+
+import { tagAmenities } from "./amenities.js";
+import {
+    BASE_URL,
+    KM_PER_MILE,
+    REMOVED_LISTING_PATTERN,
+    RENT_FREQUENCY_TO_MONTHLY,
+    SQ_FT_PER_SQ_M,
+    UK_COUNTIES,
+    UK_POSTCODE_PATTERN,
+} from "./constants.js";
+import {
+    cleanDescription,
+    cleanText,
+    DAY_MS,
+    ensureAbsoluteUrl,
+    extractAssignedJson,
+    extractJsonLd,
+    extractPropertyId,
+    htmlToText,
+    parseBranchId,
+    parseListingStatus,
+    parsePrice,
+    parseRightmoveDate,
+    toTitleCase,
+} from "./utils.js";
+
+// Marketing agent as a structured object so listings can be grouped by branch
+const buildAgent = ({ name, branchId, phone, address, url } = {}) => {
+    const agent = {
+        name: cleanText(name),
+        branchId: branchId != null && branchId !== "" ? String(branchId) : null,
+        phone: cleanText(phone),
+        address: cleanText(address),
+        url: ensureAbsoluteUrl(url),
+    };
+    return Object.values(agent).some((value) => value != null) ? agent : null;
+};
+
+const roundTo = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Splits a display address such as "12 High Street, Harrogate, North Yorkshire, HG1 2AB" into parts.
+// Rightmove's own outcode/incode win over anything parsed from the text.
+const parseAddressParts = (displayAddress, known = {}) => {
+    const parts = String(displayAddress || "")
+        .split(",")
+        .map((part) => cleanText(part))
+        .filter(Boolean);
+
+    let outcode = cleanText(known.outcode)?.toUpperCase() || null;
+    let incode = cleanText(known.incode)?.toUpperCase() || null;
+    const places = [];
+    for (let part of parts) {
+        // Sold price addresses run the postcode onto the last part ("York YO1 7PR")
+        const trailing = part.match(/^(.+?)\s+([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})$/i);
+        if (trailing) {
+            places.push(trailing[1]);
+            [, , part] = trailing;
+        }
+        const postcode = part.match(UK_POSTCODE_PATTERN);
+        if (postcode) {
+            outcode = outcode || postcode[1].toUpperCase();
+            incode = incode || (postcode[2] ? postcode[2].trim().toUpperCase() : null);
+        } else {
+            places.push(part);
+        }
+    }
+
+    let county = null;
+    if (places.length > 1 && UK_COUNTIES.has(places[places.length - 1].toLowerCase())) county = places.pop();
+    // A lone leading part is usually the street, unless a county follows it ("Harrogate, North Yorkshire")
+    const town = places.length > 1 || (county && places.length === 1) ? places[places.length - 1] : null;
+
+    if (!outcode && !town && !county) return null;
+    return {
+        outcode,
+        incode,
+        postcode: outcode && incode ? `${outcode} ${incode}` : null,
+        town,
+        county,
+    };
+};
+
+const toMiles = (distance, unit) => {
+    const value = Number(distance);
+    if (!Number.isFinite(value)) return null;
+    return roundTo(/^k/i.test(unit || "") ? value / KM_PER_MILE : value, 2);
+};
+
+// Reads "Name  0.3 miles" rows listed under a heading such as "Nearest stations" or "Nearest schools"
+const extractNearbyList = ($, headingPattern) => {
+    const heading = $("h2, h3, h4, div, span, p")
+        .filter((_, el) => headingPattern.test(cleanText($(el).text()) || ""))
+        .first();
+    if (!heading.length) return null;
+
+    let section = heading.parent();
+    for (let depth = 0; depth < 3 && section.length && !section.find("li").length; depth++) section = section.parent();
+
+    const items = [];
+    section.find("li").each((_, li) => {
+        const text = cleanText($(li).text());
+        const match = text?.match(/^(.*?)\s*([\d.]+)\s*(miles?|mi|km)\b/i);
+        if (!match) return;
+        items.push({ name: cleanText(match[1]), type: null, distanceMiles: toMiles(match[2], match[3]) });
+    });
+    return items.length ? items : null;
+};
+
+// Static map images and JSON-LD carry coordinates when the page model is missing
+const extractLocationFromMarkup = ($, jsonLd) => {
+    const geo = jsonLd?.geo || jsonLd?.address?.geo;
+    if (geo?.latitude != null && geo?.longitude != null) {
+        return { lat: Number(geo.latitude), lng: Number(geo.longitude) };
+    }
+    const mapSrc = $('img[src*="latitude="]').first().attr("src");
+    if (!mapSrc) return null;
+    const lat = parseFloat(mapSrc.match(/latitude=(-?[\d.]+)/)?.[1]);
+    const lng = parseFloat(mapSrc.match(/longitude=(-?[\d.]+)/)?.[1]);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+// Reads the "Property sale history" table that detail pages show under the listing
+const extractSaleHistory = ($) => {
+    const heading = $("h2, h3, h4, div, span, p")
+        .filter((_, el) => /^(property )?sale history$|^sold price history$/i.test(cleanText($(el).text()) || ""))
+        .first();
+    if (!heading.length) return null;
+
+    let section = heading.parent();
+    for (let depth = 0; depth < 3 && section.length && !section.find("tr").length; depth++) section = section.parent();
+
+    const rows = [];
+    section.find("tr").each((_, tr) => {
+        const cells = $(tr)
+            .find("td")
+            .map((__, td) => cleanText($(td).text()))
+            .get();
+        if (cells.length < 2) return;
+        const priceText = cells.find((cell) => cell?.includes("£"));
+        const dateText = cells.find((cell) => cell && cell !== priceText);
+        if (!priceText || !dateText) return;
+        rows.push({
+            date: parseRightmoveDate(dateText) || (dateText.match(/\b(19|20)\d{2}\b/) || [null])[0] || dateText,
+            price: parsePrice(priceText),
+        });
+    });
+    return rows.length ? rows : null;
+};
+
+// Derives the listing timeline from addedDate and the "Added on"/"Reduced on" label.
+// `originalPrice` (the first asking price we know of) enables the total reduction figure.
+export const buildListingTimeline = (record, originalPrice = null) => {
+    const scrapedAt = record.scrapedAt || new Date().toISOString();
+    const currentPrice = record.price?.amount || null;
+    const listingHistory = [];
+
+    if (record.addedDate) listingHistory.push({ event: "added", date: record.addedDate });
+    if (/^reduced/i.test(record.listingUpdateReason || "")) {
+        listingHistory.push({
+            event: "reduced",
+            date: parseRightmoveDate(record.listingUpdateReason, scrapedAt),
+            price: currentPrice,
+            previousPrice: null,
+        });
+    }
+
+    const daysOnMarket = record.addedDate
+        ? Math.max(0, Math.floor((new Date(scrapedAt).getTime() - new Date(record.addedDate).getTime()) / DAY_MS))
+        : null;
+
+    let totalReductionPercent = null;
+    if (originalPrice && currentPrice) {
+        totalReductionPercent = Math.max(0, roundTo(((originalPrice - currentPrice) / originalPrice) * 100, 1));
+    }
+
+    return {
+        listingHistory: listingHistory.length ? listingHistory : null,
+        isReduced: listingHistory.some((entry) => entry.event === "reduced") || Boolean(totalReductionPercent),
+        daysOnMarket,
+        totalReductionPercent,
+    };
+};
+
+export const extractPropertyCard = ($, cardOrLink) => {
+    try {
+        // Wrap in Cheerio if not already
+        let propertyLink = $(cardOrLink);
+
+        // Check if it's an anchor tag by getting the tag name
+        const tagName = propertyLink.prop('tagName');
+
+        if (!tagName || tagName.toLowerCase() !== 'a') {
+            // If it's a container, find the link inside
+            propertyLink = propertyLink.find('a[href*="/properties/"]').first();
+        }
+
+        if (!propertyLink.length) return null;
+
+        const href = propertyLink.attr("href");
+        if (!href) return null;
+
+        const propertyUrl = ensureAbsoluteUrl(href);
+        const propertyId = extractPropertyId(propertyUrl);
+        if (!propertyId || !propertyUrl) return null;
+
+        // Get parent container for extracting other info
+        const container = propertyLink.closest('div, article, section, li').length
+            ? propertyLink.closest('div, article, section, li')
+            : propertyLink.parent();
+
+        let priceText = null;
+        let price = null;
+        const priceSelectors = ['[class*="price"]', '[class*="Price"]', '[data-test*="price"]', 'span', 'div'];
+        for (const selector of priceSelectors) {
+            const el = container.find(selector).filter((_, e) => {
+                const text = $(e).text();
+                return text.includes('£');
+            }).first();
+            if (el.length) {
+                priceText = cleanText(el.text());
+                if (priceText && priceText.includes("£")) {
+                    price = parsePrice(priceText);
+                    break;
+                }
+            }
+        }
+
+        let address = null;
+        const addressSelectors = ['[class*="address"]', '[class*="Address"]', '[class*="title"]', '[data-test*="address"]', 'h2', 'h3', 'span'];
+        for (const selector of addressSelectors) {
+            const el = container.find(selector).first();
+            if (!el.length) continue;
+            const text = cleanText(el.text());
+            if (text && text.length > 5 && !text.includes('£') && !text.match(/^\d+$/)) {
+                address = text;
+                break;
+            }
+        }
+        if (!address) {
+            // Try getting from link text
+            const linkText = cleanText(propertyLink.text());
+            if (linkText && linkText.length > 5) {
+                address = linkText.substring(0, 100);
+            }
+        }
+        if (!address) address = "N/A";
+
+        const containerText = container.text();
+        if (!price && /\bPOA\b|price on application/i.test(containerText)) price = parsePrice("POA");
+        let bedrooms = null;
+        let bathrooms = null;
+        const bedMatch = containerText.match(/(\d+)\s*(?:bed|bedroom)/i);
+        const bathMatch = containerText.match(/(\d+)\s*(?:bath|bathroom)/i);
+        if (bedMatch) bedrooms = parseInt(bedMatch[1], 10);
+        if (bathMatch) bathrooms = parseInt(bathMatch[1], 10);
+
+        let image = null;
+        const imgSelectors = ["img", '[class*="image"]', '[class*="Image"]'];
+        for (const selector of imgSelectors) {
+            const imgEl = container.find(selector).first();
+            if (!imgEl.length) continue;
+            image = imgEl.attr("src") || imgEl.attr("data-src") || imgEl.attr("data-lazy");
+            if (image) break;
+        }
+
+        let agent = null;
+        const agentSelectors = ['[class*="agent"]', '[class*="Agent"]', '[class*="developer"]', '[class*="branch"]'];
+        for (const selector of agentSelectors) {
+            const el = container.find(selector).first();
+            if (!el.length) continue;
+            agent = cleanText(el.text());
+            if (agent && agent.length > 2) break;
+        }
+
+        const features = [];
+        container
+            .find('[class*="feature"], [class*="tag"], [class*="badge"]')
+            .each((_, el) => {
+                const feature = cleanText($(el).text());
+                if (feature && feature.length > 1 && feature.length < 100) features.push(feature);
+            });
+
+        return {
+            propertyId,
+            url: propertyUrl,
+            address: address || "N/A",
+            price,
+            bedrooms,
+            bathrooms,
+            propertyType: null,
+            image: image ? ensureAbsoluteUrl(image) : null,
+            agent: buildAgent({ name: agent }),
+            features,
+            isNewHome: /new home|new build/i.test(containerText),
+            status: parseListingStatus(containerText),
+            addressParts: parseAddressParts(address),
+        };
+    } catch (error) {
+        log.warning(`Card extraction error: ${error.message}`);
+        return null;
+    }
+};
+
+// Search pages carry their results either as the classic `window.jsonModel` assignment
+// or, on the newer Next.js build, inside the __NEXT_DATA__ script under pageProps.searchResults.
+export const extractSearchModel = (html) => {
+    if (!html) return null;
+    let model = extractAssignedJson(html, "window.jsonModel");
+
+    if (!Array.isArray(model?.properties)) {
+        try {
+            const nextData = cheerioLoad(html)("script#__NEXT_DATA__").html();
+            model = nextData ? JSON.parse(nextData)?.props?.pageProps?.searchResults : null;
+        } catch (e) {
+            log.debug(`__NEXT_DATA__ parse error: ${e.message}`);
+            model = null;
+        }
+    }
+
+    if (!Array.isArray(model?.properties)) return null;
+
+    const resultCount = parseInt(String(model.resultCount ?? "").replace(/,/g, ""), 10);
+    return {
+        properties: model.properties,
+        resultCount: Number.isNaN(resultCount) ? null : resultCount,
+        pagination: model.pagination || null,
+    };
+};
+
+export const parseSearchResultProperty = (raw) => {
+    if (!raw?.id) return null;
+    const propertyId = String(raw.id);
+    const customer = raw.customer || {};
+    const { displayPrice, displayPriceQualifier } = raw.price?.displayPrices?.[0] || {};
+    const priceHints = { frequency: raw.price?.frequency, qualifier: displayPriceQualifier };
+    const amount = Number(raw.price?.amount);
+    const images = raw.propertyImages?.images || [];
+    const image = raw.propertyImages?.mainImageSrc || images[0]?.srcUrl || images[0]?.url;
+    const { latitude, longitude } = raw.location || {};
+
+    const features = [];
+    for (const keyword of raw.keywords || []) {
+        const text = cleanText(typeof keyword === "string" ? keyword : keyword?.keyword);
+        if (text) features.push(text);
+    }
+    const productLabel = cleanText(raw.productLabel?.productLabelText);
+    if (productLabel) features.push(productLabel);
+
+    return {
+        propertyId,
+        url: `${BASE_URL}/properties/${propertyId}`,
+        address: cleanText(raw.displayAddress) || "N/A",
+        price: parsePrice(displayPrice || (amount > 0 ? `£${amount.toLocaleString("en-GB")}` : null), priceHints),
+        bedrooms: Number.isInteger(raw.bedrooms) ? raw.bedrooms : null,
+        bathrooms: Number.isInteger(raw.bathrooms) ? raw.bathrooms : null,
+        propertyType: cleanText(raw.propertySubType) || cleanText(raw.propertyTypeFullDescription),
+        image: image ? ensureAbsoluteUrl(image) : null,
+        agent: buildAgent({
+            name: customer.branchDisplayName || customer.brandTradingName,
+            branchId: customer.branchId,
+            phone: customer.contactTelephone,
+            url: customer.branchLandingPageUrl,
+        }),
+        features,
+        isNewHome: Boolean(raw.development),
+        status: parseListingStatus(raw.displayStatus ?? ""),
+        addedDate: parseRightmoveDate(raw.firstVisibleDate),
+        listingUpdateReason: cleanText(raw.listingUpdate?.listingUpdateReason),
+        location: latitude != null && longitude != null ? { lat: latitude, lng: longitude } : null,
+        addressParts: parseAddressParts(raw.displayAddress),
+    };
+};
+
+// Sold house price pages keep their results in window.__PRELOADED_STATE__ or, on the newer build, __NEXT_DATA__
+export const extractSoldPricesModel = (html) => {
+    if (!html) return null;
+    let state = extractAssignedJson(html, "window.__PRELOADED_STATE__");
+    if (!state) {
+        try {
+            const nextData = cheerioLoad(html)("script#__NEXT_DATA__").html();
+            state = nextData ? JSON.parse(nextData)?.props?.pageProps : null;
+        } catch (e) {
+            log.debug(`__NEXT_DATA__ parse error: ${e.message}`);
+        }
+    }
+
+    const results = [state?.results, state?.searchResult, state?.searchResults, state].find((candidate) =>
+        Array.isArray(candidate?.properties),
+    );
+    if (!results) return null;
+
+    const resultCount = parseInt(String(results.resultCount ?? results.pagination?.total ?? "").replace(/,/g, ""), 10);
+    return {
+        properties: results.properties,
+        resultCount: Number.isNaN(resultCount) ? null : resultCount,
+        pagination: results.pagination || null,
+    };
+};
+
+// One record per sold address, shaped like the listing records (price holds the latest sale)
+export const parseSoldProperty = (raw) => {
+    const address = cleanText(raw?.address);
+    if (!address) return null;
+
+    const propertyType = cleanText(raw.propertyType);
+    const transactions = (raw.transactions || [])
+        .map((transaction) => ({
+            date: parseRightmoveDate(transaction.dateSold),
+            price: parsePrice(transaction.displayPrice),
+            tenure: toTitleCase(transaction.tenure),
+            propertyType: cleanText(transaction.propertyType) || propertyType,
+            newBuild: Boolean(transaction.newBuild),
+        }))
+        .sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+    const { lat, lng } = raw.location || {};
+    const detailUrl = ensureAbsoluteUrl(raw.detailUrl);
+
+    return {
+        propertyId: `sold-${createHash("sha1").update(address.toLowerCase()).digest("hex").slice(0, 16)}`,
+        recordType: "soldProperty",
+        url: detailUrl,
+        address,
+        addressParts: parseAddressParts(address),
+        price: transactions[0]?.price || null,
+        lastSoldDate: transactions[0]?.date || null,
+        bedrooms: Number.isInteger(raw.bedrooms) ? raw.bedrooms : null,
+        propertyType,
+        tenure: transactions[0]?.tenure || null,
+        transactions,
+        location: lat != null && lng != null ? { lat, lng } : null,
+        linkedListingId: extractPropertyId(raw.propertyUrl || "") || (raw.listingId ? String(raw.listingId) : null),
+    };
+};
+
+// Finds the branch object in a page model, wherever the current page build nests it
+const findBranchObject = (value, depth = 0) => {
+    if (!value || typeof value !== "object" || depth > 6) return null;
+    if (value.branchId != null && (value.branchDisplayName || value.branchName)) return value;
+    for (const child of Object.values(value)) {
+        const found = findBranchObject(child, depth + 1);
+        if (found) return found;
+    }
+    return null;
+};
+
+const parseCount = (value) => {
+    const count = parseInt(String(value ?? "").replace(/,/g, ""), 10);
+    return Number.isNaN(count) ? null : count;
+};
+
+// Branch profile: page model first, then JSON-LD and markup
+export const extractBranchProfile = ($, html, branchId) => {
+    let model = extractAssignedJson(html, "window.PAGE_MODEL");
+    if (!model) {
+        try {
+            const nextData = $("script#__NEXT_DATA__").html();
+            model = nextData ? JSON.parse(nextData)?.props?.pageProps : null;
+        } catch (e) {
+            log.debug(`__NEXT_DATA__ parse error: ${e.message}`);
+        }
+    }
+    const branch = findBranchObject(model) || {};
+    const agentJsonLd = extractJsonLd(html).find((item) => /RealEstateAgent|Organization/.test(String(item?.["@type"]))) || {};
+    const jsonLdAddress =
+        typeof agentJsonLd.address === "string"
+            ? agentJsonLd.address
+            : [agentJsonLd.address?.streetAddress, agentJsonLd.address?.addressLocality, agentJsonLd.address?.postalCode]
+                  .filter(Boolean)
+                  .join(", ");
+    const pageText = cleanText($("body").text()) || "";
+    const countFromText = (pattern) => parseCount(pageText.match(pattern)?.[1]);
+
+    return {
+        branchId: String(branch.branchId ?? branchId),
+        name:
+            cleanText(branch.branchDisplayName || branch.branchName) ||
+            cleanText(agentJsonLd.name) ||
+            cleanText($("h1").first().text()),
+        address:
+            cleanText(typeof branch.address === "string" ? branch.address : branch.address?.displayAddress) ||
+            cleanText(branch.displayAddress) ||
+            cleanText(jsonLdAddress),
+        phone:
+            cleanText(branch.telephone || branch.contactTelephone || branch.contactInfo?.telephoneNumbers?.localNumber) ||
+            cleanText(agentJsonLd.telephone) ||
+            cleanText($('a[href^="tel:"]').first().attr("href")?.replace(/^tel:/, "")),
+        saleCount:
+            parseCount(branch.forSaleCount ?? branch.salesCount) ??
+            countFromText(/([\d,]+)\s+propert(?:y|ies)\s+for\s+sale/i),
+        letCount:
+            parseCount(branch.toRentCount ?? branch.lettingsCount) ??
+            countFromText(/([\d,]+)\s+propert(?:y|ies)\s+to\s+(?:rent|let)/i),
+    };
+};
+
+// Ground rent and service charges are quoted per year unless the text says otherwise
+const toAnnualAmount = (text) => {
+    const price = parsePrice(text);
+    if (price?.amount == null) return null;
+    return price.frequency ? Math.round(price.amount * RENT_FREQUENCY_TO_MONTHLY[price.frequency] * 12) : price.amount;
+};
+
+// "1,050 sq ft", "97.5 sq. m.", "850 ft²" -> { sqFt, sqM }, converting whichever unit is missing
+const parseFloorArea = (text) => {
+    const value = String(text || "");
+    const number = (match) => (match ? parseFloat(match[1].replace(/,/g, "")) : null);
+    let sqFt = number(value.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:sq\.?\s*f(?:ee)?t\.?|sqft|square f(?:ee|oo)t|ft²|ft2)/i));
+    let sqM = number(value.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:sq\.?\s*m(?:etres|eters)?\b\.?|sqm\b|square met(?:re|er)s?|m²|m2\b)/i));
+    if (!sqFt && !sqM) return null;
+    if (!sqFt) sqFt = sqM * SQ_FT_PER_SQ_M;
+    if (!sqM) sqM = sqFt / SQ_FT_PER_SQ_M;
+    return { sqFt: Math.round(sqFt), sqM: roundTo(sqM, 1) };
+};
+
+// Typed tenure, running cost, council tax, EPC and floor area fields. `structured` holds values the
+// page model gives directly; anything it lacks is read from the detail rows, key features and description.
+export const extractPropertyFacts = ({ structured = {}, details = {}, texts = [], price = null }) => {
+    const detailText = Object.entries(details || {}).map(([key, value]) => `${key}: ${value}`);
+    const text = [...detailText, ...texts].filter(Boolean).join("\n");
+    const find = (pattern) => text.match(pattern)?.[1] || null;
+
+    const tenure = structured.tenure || toTitleCase(find(/\b(share of freehold|freehold|leasehold|commonhold)\b/i));
+    const leaseYears = find(/(\d{1,4})\s*years?\s*(?:remaining|left|unexpired|on the lease)/i) ||
+        find(/(?:remaining|unexpired|lease length)\D{0,20}(\d{1,4})\s*years?/i);
+    const groundRent = find(/ground rent\D{0,15}(£\s*[\d,.]+(?:\s*(?:pa|per annum|per year|pcm|per month|pw|per week))?)/i);
+    const serviceCharge = find(/service charge\D{0,15}(£\s*[\d,.]+(?:\s*(?:pa|per annum|per year|pcm|per month|pw|per week))?)/i);
+    // Rating letters only count after "band", a colon or EPC wording, so "council tax a matter for the
+    // buyer" or "the potential of a fourth bedroom" don't read as bands
+    const councilTaxBand =
+        structured.councilTaxBand || find(/council tax\s*(?:band\s*[:-]?|[:-]\s*(?:band\s*)?)\s*([A-I])\b/i);
+    const epcCurrent = find(/\bEPC(?:\s*rating)?\s*(?:of|is|[:-])?\s*([A-G])\b/i);
+    const epcPotential =
+        find(/\b(?:EPC|energy)\b[^.\n]{0,20}?\bpotential(?:\s*rating)?\s*(?:of|is|[:-])?\s*([A-G])\b/i) ||
+        find(/\bpotential\s*(?:EPC|energy(?:\s*efficiency)?)(?:\s*rating)?\s*(?:of|is|[:-])?\s*([A-G])\b/i);
+    const structuredArea = [
+        structured.floorAreaSqFt && `${structured.floorAreaSqFt} sq ft`,
+        structured.floorAreaSqM && `${structured.floorAreaSqM} sq m`,
+    ].filter(Boolean);
+    const floorArea = parseFloorArea(structuredArea.length ? structuredArea.join(" ") : text);
+
+    // Asking price per sq ft; rents and prices on application have none
+    const saleValue = price?.frequency ? null : price?.sharedOwnership?.fullMarketValue ?? price?.amount;
+
+    return {
+        tenure,
+        leaseYearsRemaining: structured.leaseYearsRemaining ?? (leaseYears ? parseInt(leaseYears, 10) : null),
+        groundRentAnnual: structured.groundRentAnnual ?? toAnnualAmount(groundRent),
+        serviceChargeAnnual: structured.serviceChargeAnnual ?? toAnnualAmount(serviceCharge),
+        councilTaxBand: councilTaxBand ? councilTaxBand.toUpperCase() : null,
+        epcCurrentRating: epcCurrent ? epcCurrent.toUpperCase() : null,
+        epcPotentialRating: epcPotential ? epcPotential.toUpperCase() : null,
+        epcGraphUrl: ensureAbsoluteUrl(structured.epcGraphUrl),
+        floorAreaSqFt: floorArea?.sqFt ?? null,
+        floorAreaSqM: floorArea?.sqM ?? null,
+        pricePerSqFt: saleValue && floorArea?.sqFt ? Math.round(saleValue / floorArea.sqFt) : null,
+    };
+};
+
+// Rental listings show "Now" or a dd/mm/yyyy date for availability
+const parseLetAvailableDate = (value) => parseRightmoveDate(value) || cleanText(value == null ? null : String(value));
+
+// Pulls the "Letting details" rows (deposit, furnishing, etc.) out of the loose details map
+const extractLettingDetails = (details) => {
+    const rows = {};
+    for (const [key, value] of Object.entries(details || {})) {
+        rows[key.replace(/:$/, "").trim().toLowerCase()] = value;
+    }
+    const deposit = parseInt(String(rows.deposit || "").replace(/[£,]/g, ""), 10);
+    const minimumTenancy = parseInt(rows["min. tenancy"] || rows["minimum tenancy"] || "", 10);
+    return {
+        letAvailableDate: parseLetAvailableDate(rows["let available date"]),
+        deposit: Number.isNaN(deposit) ? null : deposit,
+        furnishType: rows["furnish type"] || null,
+        letType: rows["let type"] || null,
+        minimumTenancyMonths: Number.isNaN(minimumTenancy) ? null : minimumTenancy,
+    };
+};
+
+// Maps window.PAGE_MODEL from a detail page onto our output fields.
+// Returns null when the blob is missing or doesn't describe a property.
+const parsePageModel = (pageModel) => {
+    const data = pageModel?.propertyData;
+    if (!data || !data.id) return null;
+
+    const analytics = pageModel.analyticsInfo?.analyticsProperty || {};
+    const customer = data.customer || {};
+    const lettings = data.lettings || {};
+    const statusText = [data.displayStatus, data.status?.displayStatus, ...(data.tags || [])].filter(Boolean).join(" ");
+    const livingCosts = data.livingCosts || {};
+    const price = parsePrice(data.prices?.primaryPrice, {
+        qualifier: data.prices?.displayPriceQualifier,
+        sharePercent: data.sharedOwnership?.sharedOwnership ? data.sharedOwnership.ownershipPercentage : null,
+    });
+    const sizeIn = (unit) => {
+        const sizing = (data.sizings || []).find((item) => item?.unit === unit);
+        return Number(sizing?.minimumSize ?? sizing?.maximumSize) || null;
+    };
+
+    const details = {};
+    for (const item of data.infoReelItems || []) {
+        const key = toTitleCase(item?.title);
+        const value = cleanText(item?.primaryText);
+        if (key && value) details[key] = value;
+    }
+
+    const images = (data.images || []).map((image) => ensureAbsoluteUrl(image?.url)).filter(Boolean);
+    const floorplans = (data.floorplans || []).map((plan) => ensureAbsoluteUrl(plan?.url)).filter(Boolean);
+    const brochures = (data.brochures || []).map((brochure) => ensureAbsoluteUrl(brochure?.url)).filter(Boolean);
+    const keyFeatures = (data.keyFeatures || []).map((feature) => cleanText(feature)).filter(Boolean);
+    const listingUpdateReason = cleanText(data.listingHistory?.listingUpdateReason);
+    const { latitude, longitude } = data.location || {};
+    const nearestStations = (data.nearestStations || [])
+        .filter((station) => station?.name)
+        .map((station) => ({
+            name: cleanText(station.name),
+            type: (station.types || []).map((type) => toTitleCase(type)).join(", ") || null,
+            distanceMiles: toMiles(station.distance, station.unit),
+        }));
+
+    return {
+        propertyId: String(data.id),
+        title: cleanText(data.text?.pageTitle) || cleanText(data.text?.propertyPhrase),
+        address: cleanText(data.address?.displayAddress),
+        addressParts: parseAddressParts(data.address?.displayAddress, data.address),
+        location: latitude != null && longitude != null ? { lat: latitude, lng: longitude } : null,
+        nearestStations: nearestStations.length ? nearestStations : null,
+        price,
+        bedrooms: Number.isInteger(data.bedrooms) ? data.bedrooms : null,
+        bathrooms: Number.isInteger(data.bathrooms) ? data.bathrooms : null,
+        propertyType: cleanText(data.propertySubType) || details["Property Type"] || null,
+        description: htmlToText(data.text?.description),
+        keyFeatures: keyFeatures.length ? keyFeatures : null,
+        images: images.length ? images : null,
+        floorplans: floorplans.length ? floorplans : null,
+        brochures: brochures.length ? brochures : null,
+        agent: buildAgent({
+            name: customer.branchDisplayName || customer.companyName,
+            branchId: customer.branchId,
+            phone: customer.contactInfo?.telephoneNumbers?.localNumber,
+            address: customer.displayAddress,
+            url: customer.customerProfileUrl,
+        }),
+        status: statusText ? parseListingStatus(statusText) : null,
+        ...extractPropertyFacts({
+            structured: {
+                tenure: toTitleCase(data.tenure?.tenureType),
+                leaseYearsRemaining: Number.isFinite(data.tenure?.yearsRemainingOnLease) ? data.tenure.yearsRemainingOnLease : null,
+                groundRentAnnual: Number.isFinite(livingCosts.annualGroundRent) ? livingCosts.annualGroundRent : null,
+                serviceChargeAnnual: Number.isFinite(livingCosts.annualServiceCharge) ? livingCosts.annualServiceCharge : null,
+                councilTaxBand: cleanText(livingCosts.councilTaxBand),
+                epcGraphUrl: data.epcGraphs?.[0]?.url,
+                floorAreaSqFt: sizeIn("sqft"),
+                floorAreaSqM: sizeIn("sqm"),
+            },
+            details,
+            texts: [...keyFeatures, htmlToText(data.text?.description)],
+            price,
+        }),
+        addedDate: parseRightmoveDate(analytics.added) || (/^added/i.test(listingUpdateReason || "") ? parseRightmoveDate(listingUpdateReason) : null),
+        listingUpdateReason,
+        letAvailableDate: parseLetAvailableDate(lettings.letAvailableDate),
+        deposit: Number.isFinite(lettings.deposit) ? lettings.deposit : null,
+        furnishType: cleanText(lettings.furnishType),
+        letType: cleanText(lettings.letType),
+        minimumTenancyMonths: Number.isFinite(lettings.minimumTermInMonths) ? lettings.minimumTermInMonths : null,
+        details: Object.keys(details).length ? details : null,
+    };
+};
+
+export const extractPropertyDetails = ($, html, basicInfo = {}) => {
+    try {
+        const pageModelData = parsePageModel(extractAssignedJson(html, "window.PAGE_MODEL"));
+        if (pageModelData) {
+            const fromModel = Object.fromEntries(Object.entries(pageModelData).filter(([, value]) => value != null));
+            return {
+                ...basicInfo,
+                ...fromModel,
+                saleHistory: extractSaleHistory($),
+                nearestSchools: extractNearbyList($, /^nearest schools$/i),
+                extractionMethod: "page-model",
+            };
+        }
+
+        const jsonLdData = extractJsonLd(html);
+        const propertyData = { ...basicInfo };
+        const propertyJsonLd = jsonLdData.find((d) => {
+            const type = d["@type"];
+            return type === "Product" || type === "RealEstateListing" || type === "Apartment" || type === "House";
+        });
+
+        if (propertyJsonLd) {
+            if (propertyJsonLd.name) propertyData.title = propertyJsonLd.name;
+            if (propertyJsonLd.description) propertyData.description = propertyJsonLd.description;
+            if (propertyJsonLd.image) propertyData.images = Array.isArray(propertyJsonLd.image) ? propertyJsonLd.image : [propertyJsonLd.image];
+            if (propertyJsonLd.offers) {
+                const offer = Array.isArray(propertyJsonLd.offers) ? propertyJsonLd.offers[0] : propertyJsonLd.offers;
+                // The card price keeps Rightmove's wording (qualifier, range, share); JSON-LD only has the number
+                if (offer?.price != null && propertyData.price?.amount == null) {
+                    propertyData.price = { ...parsePrice(`£${offer.price}`), currency: offer.priceCurrency || "GBP" };
+                }
+            }
+            // Extract bedrooms/bathrooms from JSON-LD if available
+            if (propertyJsonLd.numberOfRooms) propertyData.bedrooms = parseInt(propertyJsonLd.numberOfRooms, 10);
+            if (propertyJsonLd.numberOfBedrooms) propertyData.bedrooms = parseInt(propertyJsonLd.numberOfBedrooms, 10);
+            if (propertyJsonLd.numberOfBathroomsTotal) propertyData.bathrooms = parseInt(propertyJsonLd.numberOfBathroomsTotal, 10);
+        }
+
+        const title = propertyData.title || cleanText($("h1").first().text());
+
+        // Extract description using exact Rightmove selector
+        let description = propertyData.description;
+        if (!description) {
+            // Primary selector: exact Rightmove class
+            description = cleanDescription($('div.OD0O7FWw1TjbTD4sdRi1_').text());
+        }
+        if (!description) {
+            // Fallback selectors
+            description = cleanDescription($('[class*="description"]').text()) || cleanDescription($('[data-test*="description"]').text());
+        }
+
+        // Extract bedrooms and bathrooms from page text if not already found
+        const pageText = $.text();
+        if (!propertyData.bedrooms) {
+            const bedMatch = pageText.match(/(\d+)\s*(?:bed|bedroom|Bed|Bedroom)/i);
+            if (bedMatch) propertyData.bedrooms = parseInt(bedMatch[1], 10);
+        }
+        if (!propertyData.bathrooms) {
+            const bathMatch = pageText.match(/(\d+)\s*(?:bath|bathroom|Bath|Bathroom)/i);
+            if (bathMatch) propertyData.bathrooms = parseInt(bathMatch[1], 10);
+        }
+
+        // "Added on 10/09/2024" / "Reduced today" label next to the price
+        if (!propertyData.listingUpdateReason) {
+            const updateMatch = pageText.match(/\b(?:Added|Reduced) (?:on \d{2}\/\d{2}\/\d{4}|today|yesterday)/);
+            if (updateMatch) propertyData.listingUpdateReason = updateMatch[0];
+        }
+        if (!propertyData.addedDate && /^added/i.test(propertyData.listingUpdateReason || "")) {
+            propertyData.addedDate = parseRightmoveDate(propertyData.listingUpdateReason);
+        }
+
+        // Extract agent/developer information
+        if (!propertyData.agent?.name || propertyData.agent.name.length < 3) {
+            const agentSelectors = [
+                '[class*="agent-name"]',
+                '[class*="branch-name"]',
+                '[class*="developer"]',
+                '[class*="marketed-by"]',
+                '[data-test*="agent"]',
+                '[class*="agent"] h2',
+                '[class*="agent"] h3'
+            ];
+            for (const selector of agentSelectors) {
+                const agentEl = $(selector).first();
+                if (agentEl.length) {
+                    const agentText = cleanText(agentEl.text());
+                    if (agentText && agentText.length > 2 && agentText.length < 100) {
+                        propertyData.agent = buildAgent({ ...propertyData.agent, name: agentText });
+                        break;
+                    }
+                }
+            }
+        }
+        if (propertyData.agent && !propertyData.agent.branchId) {
+            const branchHref = $('a[href*="/estate-agents/agent/"]').first().attr("href");
+            propertyData.agent = buildAgent({
+                ...propertyData.agent,
+                branchId: parseBranchId(branchHref),
+                url: propertyData.agent.url || branchHref,
+                phone: propertyData.agent.phone || $('a[href^="tel:"]').first().attr("href")?.replace(/^tel:/, ""),
+            });
+        }
+
+        // Extract key features using exact Rightmove selector
+        const keyFeatures = [];
+
+        // Primary selector: exact Rightmove class
+        $('ul._1uI3IvdF5sIuBtRIvKrreQ li').each((_, el) => {
+            const feature = cleanText($(el).text());
+            if (feature && feature.length > 2) keyFeatures.push(feature);
+        });
+
+        // Fallback selectors if primary didn't find features
+        if (keyFeatures.length === 0) {
+            $('[class*="key-feature"] li, [class*="bullet"] li, [class*="feature"] li').each((_, el) => {
+                const feature = cleanText($(el).text());
+                if (feature && feature.length > 2) keyFeatures.push(feature);
+            });
+        }
+
+        const details = {};
+        $('[class*="property-detail"] dt').each((_, dt) => {
+            const key = cleanText($(dt).text());
+            const value = cleanText($(dt).next().text());
+            if (key && value) details[key] = value;
+        });
+
+        // Try alternative detail extraction patterns
+        if (Object.keys(details).length === 0) {
+            $('[class*="details"] dt, [class*="info"] dt').each((_, dt) => {
+                const key = cleanText($(dt).text());
+                const value = cleanText($(dt).next().text());
+                if (key && value) details[key] = value;
+            });
+        }
+
+        // Extract property type using exact Rightmove selector
+        if (!propertyData.propertyType) {
+            // Primary selector: exact Rightmove class
+            const propertyTypeEl = $('p._1hV1kqpVceE9m-QrX_hWDN').first();
+            if (propertyTypeEl.length) {
+                propertyData.propertyType = cleanText(propertyTypeEl.text());
+            }
+
+            // Fallback: check in details or page text
+            if (!propertyData.propertyType && details['Property Type']) {
+                propertyData.propertyType = details['Property Type'];
+            }
+        }
+
+        if (!propertyData.images) {
+            propertyData.images = [];
+            $('[class*="gallery"] img, [data-test*="image"] img, [class*="carousel"] img, img[src*="crop"]').each((_, el) => {
+                const src = $(el).attr("src") || $(el).attr("data-src");
+                if (src && !propertyData.images.includes(src)) propertyData.images.push(ensureAbsoluteUrl(src));
+            });
+        }
+
+        const floorplans = [];
+        $('[class*="floorplan"] img, [class*="floor-plan"] img').each((_, el) => {
+            const src = $(el).attr("src") || $(el).attr("data-src");
+            if (src) floorplans.push(ensureAbsoluteUrl(src));
+        });
+
+        const brochures = [];
+        $('a[href$=".pdf"], a[href*="brochure"]').each((_, el) => {
+            const href = ensureAbsoluteUrl($(el).attr("href"));
+            if (href && /\.pdf(?:\?|$)/i.test(href) && !brochures.includes(href)) brochures.push(href);
+        });
+
+        const lettingDetails = Object.fromEntries(
+            Object.entries(extractLettingDetails(details)).filter(([, value]) => value != null),
+        );
+        const epcGraph = $('img[src*="EPC"], a[href*="EPC"]').first();
+        const propertyFacts = extractPropertyFacts({
+            structured: { epcGraphUrl: epcGraph.attr("src") || epcGraph.attr("href") },
+            details,
+            texts: [...keyFeatures, description || propertyData.description],
+            price: propertyData.price,
+        });
+
+        return {
+            ...propertyData,
+            ...lettingDetails,
+            ...propertyFacts,
+            title: title || propertyData.title,
+            description: description || propertyData.description,
+            keyFeatures: keyFeatures.length ? keyFeatures : null,
+            details: Object.keys(details).length ? details : null,
+            floorplans: floorplans.length ? floorplans : null,
+            brochures: brochures.length ? brochures : null,
+            images: propertyData.images?.length ? propertyData.images : null,
+            saleHistory: extractSaleHistory($),
+            location: extractLocationFromMarkup($, propertyJsonLd) || propertyData.location || null,
+            nearestStations: extractNearbyList($, /^nearest stations$/i),
+            nearestSchools: extractNearbyList($, /^nearest schools$/i),
+            addressParts: propertyData.addressParts || parseAddressParts(propertyData.address),
+            extractionMethod: propertyJsonLd ? "json-ld" : "html-parse",
+        };
+    } catch (error) {
+        log.warning(`Detail extraction error: ${error.message}`);
+        return { ...basicInfo, extractionMethod: "failed" };
+    }
+};
+
+// Reads one search results page: the structured results model first, then card markup. Returns the
+// properties in page order, the reported result count and how they were extracted. `containerCount`
+// is how many card containers the markup fallback matched, to tell broken selectors from empty pages.
+export const parseSearchPage = ($, html, mode = "listings") => {
+    if (mode === "soldPrices") {
+        const soldModel = extractSoldPricesModel(html);
+        return {
+            properties: (soldModel?.properties || []).map(parseSoldProperty).filter(Boolean),
+            resultCount: soldModel?.resultCount ?? null,
+            extractionMethod: "sold-prices-model",
+            containerCount: 0,
+            modelFound: Boolean(soldModel),
+        };
+    }
+
+    const searchModel = extractSearchModel(html);
+    if (searchModel?.properties.length) {
+        return {
+            properties: searchModel.properties.map(parseSearchResultProperty).filter(Boolean),
+            resultCount: searchModel.resultCount,
+            extractionMethod: "search-model",
+            containerCount: 0,
+            modelFound: true,
+        };
+    }
+
+    // Try multiple patterns to find property containers
+    const possibleSelectors = [
+        'a[href*="/properties/"]',  // All property links
+        'div[id^="property-"]',      // Property divs with IDs
+        'article',                    // Article elements
+        'div.l-searchResult'         // Search result containers
+    ];
+
+    let propertyCards = [];
+    for (const selector of possibleSelectors) {
+        propertyCards = $(selector).toArray();
+        if (propertyCards.length >= 10) break;  // Found substantial results
+    }
+
+    // Filter to only property links that lead to detail pages
+    if (propertyCards.length === 0 || !propertyCards[0] || propertyCards[0].tagName !== 'A') {
+        propertyCards = $('a[href*="/properties/"]')
+            .filter((_, el) => {
+                const href = $(el).attr('href');
+                return href && /\/properties\/\d+/.test(href);
+            })
+            .toArray();
+    }
+
+    return {
+        properties: propertyCards.map((card) => extractPropertyCard($, card)).filter(Boolean),
+        resultCount: searchModel?.resultCount ?? null,
+        extractionMethod: "basic-card",
+        containerCount: propertyCards.length,
+        modelFound: Boolean(searchModel),
+    };
+};
+
+// Record for a search result when its detail page isn't visited
+export const buildCardRecord = (property, extractionMethod, scrapedAt = new Date().toISOString()) => {
+    const record = { ...property, scrapedAt, extractionMethod };
+    return record.recordType === "soldProperty" ? record : { ...record, ...buildListingTimeline(record), ...tagAmenities(record) };
+};
+
+// Why a listed property's page no longer shows the listing: "redirected" when Rightmove sent us to
+// another page, "archived" when the page model says so, "removed" when the page says so, else null
+export const detectRemovedListing = ($, html, propertyId, loadedUrl) => {
+    if (loadedUrl && extractPropertyId(loadedUrl) !== propertyId) return "redirected";
+    const status = extractAssignedJson(html, "window.PAGE_MODEL")?.propertyData?.status;
+    if (status?.archived === true || status?.published === false) return "archived";
+    if (REMOVED_LISTING_PATTERN.test($("h1, h2, p, [class*='removed']").text())) return "removed";
+    return null;
+};
+
+// Record for a listed property that has gone, in place of a failed request
+export const buildRemovedRecord = (basicInfo, removedReason, scrapedAt = new Date().toISOString()) => ({
+    ...basicInfo,
+    status: "removed",
+    removedReason,
+    scrapedAt,
+});
+
+// Record for a detail page, layered over the search result it was found from
+export const buildDetailRecord = ($, html, basicInfo = {}, scrapedAt = new Date().toISOString()) => {
+    const property = { ...basicInfo, ...extractPropertyDetails($, html, basicInfo), scrapedAt };
+    return { ...property, ...buildListingTimeline(property), ...tagAmenities(property) };
+};
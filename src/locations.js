@@ -0,0 +1,109 @@
+import { Actor, log } from "apify";
+import { gotScraping } from "got-scraping";
+
+import {
+    LOCATION_CACHE_STORE,
+    LOCATION_IDENTIFIER_PATTERN,
+    LOCATION_TYPEAHEAD_URL,
+    LOCATION_TYPES,
+    TIMEOUT_SECONDS,
+    UK_POSTCODE_PATTERN,
+    UK_REGIONS,
+} from "./constants.js";
+
+const normaliseLocationName = (text) =>
+    String(text || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+
+// Key-value store keys only allow a limited character set
+const locationCacheKey = (query) => `location-${normaliseLocationName(query).replace(/ /g, "-").slice(0, 200)}`;
+
+const describeLocationMatches = (matches) =>
+    matches
+        .slice(0, 5)
+        .map((match) => `"${match.displayName}" (${match.type}^${match.id})`)
+        .join(", ");
+
+// Picks a single typeahead match for the query, or throws if the answer isn't clear-cut
+const pickLocationMatch = (query, matches) => {
+    const wanted = normaliseLocationName(query);
+    const postcodeMatch = query.trim().match(UK_POSTCODE_PATTERN);
+    let candidates = matches.filter((match) => LOCATION_TYPES.includes(match.type));
+
+    if (postcodeMatch) {
+        const postcodeType = postcodeMatch[2] ? "POSTCODE" : "OUTCODE";
+        candidates = candidates.filter((match) => match.type === postcodeType);
+    }
+
+    if (candidates.length === 0) {
+        throw new Error(`Could not resolve location "${query}": Rightmove returned no matching locations`);
+    }
+
+    // "Harrogate" should match "Harrogate, North Yorkshire" as well as an exact "Harrogate"
+    const exact = candidates.filter((match) => normaliseLocationName(match.displayName) === wanted);
+    const primary = candidates.filter((match) => normaliseLocationName(match.displayName.split(",")[0]) === wanted);
+    const best = exact.length ? exact : primary;
+
+    if (best.length === 1) return best[0];
+    if (best.length === 0 && candidates.length === 1) return candidates[0];
+
+    throw new Error(
+        `Location "${query}" is ambiguous. Rightmove suggests: ${describeLocationMatches(best.length ? best : candidates)}. ` +
+            "Use a more specific search location or set locationIdentifier directly.",
+    );
+};
+
+const fetchLocationMatches = async (query, proxyConfig) => {
+    const response = await gotScraping({
+        url: LOCATION_TYPEAHEAD_URL,
+        searchParams: { query, limit: 10, exclude: "STREET" },
+        proxyUrl: proxyConfig ? await proxyConfig.newUrl() : undefined,
+        responseType: "json",
+        timeout: { request: TIMEOUT_SECONDS * 1000 },
+        retry: { limit: 2 },
+    });
+    if (response.statusCode !== 200) {
+        throw new Error(`Location lookup for "${query}" failed with HTTP ${response.statusCode}`);
+    }
+    return (response.body?.matches || []).filter((match) => match?.id && match?.type && match?.displayName);
+};
+
+// Turns free text ("SW11", "Clapham Junction station", "Harrogate") into a REGION^/OUTCODE^/POSTCODE^/STATION^
+// identifier. Lookups are cached in a named key-value store so repeated runs don't hit the typeahead again.
+export const resolveLocationIdentifier = async (searchLocation, proxyConfig) => {
+    const query = String(searchLocation || "").trim();
+    if (!query) return null;
+    if (LOCATION_IDENTIFIER_PATTERN.test(query)) return query;
+
+    const regionId = UK_REGIONS[query.toLowerCase()];
+    if (regionId) return regionId;
+
+    const cache = await Actor.openKeyValueStore(LOCATION_CACHE_STORE);
+    const cacheKey = locationCacheKey(query);
+    const cached = await cache.getValue(cacheKey);
+    if (cached?.identifier) {
+        log.info(`  Location "${query}" resolved from cache: ${cached.displayName} (${cached.identifier})`);
+        return cached.identifier;
+    }
+
+    let matches;
+    try {
+        matches = await fetchLocationMatches(query, proxyConfig);
+    } catch (error) {
+        throw new Error(`Could not resolve location "${query}": ${error.message}`);
+    }
+
+    const match = pickLocationMatch(query, matches);
+    const identifier = `${match.type}^${match.id}`;
+    await cache.setValue(cacheKey, {
+        query,
+        identifier,
+        displayName: match.displayName,
+        type: match.type,
+        resolvedAt: new Date().toISOString(),
+    });
+    log.info(`  Location "${query}" resolved to ${match.displayName} (${identifier})`);
+    return identifier;
+};
@@ -1,6 +1,46 @@
 import { Actor, log } from "apify";
 import { CheerioCrawler, Dataset } from "crawlee";
-import { load as cheerioLoad } from "cheerio";
+
+import { backoffDelay, buildHeaderFingerprint, classifyResponse, createThrottle } from "./blocking.js";
+import {
+    BASE_URL,
+    DATASET_BATCH_SIZE,
+    DEFAULT_MEDIA_STORE,
+    DEFAULT_MONITORING_STORE,
+    DEFAULT_PROPERTIES_PER_PAGE,
+    DEFAULT_QUALITY_STORE,
+    DUPLICATE_IMAGE_COUNT,
+    EXPORT_FORMATS,
+    IMAGE_SIZES,
+    MARKET_SUMMARY_KEY,
+    MAX_CONCURRENCY,
+    MAX_RETRIES,
+    MEDIA_TYPES,
+    PROPERTY_LIST_LABEL,
+    QUALITY_REPORT_KEY,
+    SEARCH_RESULT_CAP,
+    SEARCH_URLS,
+    TIMEOUT_SECONDS,
+} from "./constants.js";
+import { createDuplicateDetector } from "./duplicates.js";
+import { exportDataset } from "./exports.js";
+import {
+    buildCardRecord,
+    buildDetailRecord,
+    buildRemovedRecord,
+    detectRemovedListing,
+    extractBranchProfile,
+    parseSearchPage,
+} from "./extractors.js";
+import { createMediaDownloader } from "./media.js";
+import { createMonitor } from "./monitoring.js";
+import { createNotifier, parseWebhooks } from "./notifications.js";
+import { loadOfflinePages, parseOfflinePages } from "./offline.js";
+import { createQualityTracker, loadQualityBaseline, saveQualityBaseline } from "./quality.js";
+import { buildSearchPlans, parsePropertyIds, splitSearchUrl } from "./searches.js";
+import { createStatePersister, loadCrawlState } from "./state.js";
+import { createMarketSummary } from "./summary.js";
+import { assertAllowed, ensureAbsoluteUrl, getRandomDelay, sleep, toList } from "./utils.js";
 
 // Surface any startup errors before Actor.init can run
 process.on("unhandledRejection", (reason) => {
@@ -11,445 +51,6 @@ process.on("uncaughtException", (err) => {
     console.error("UNCAUGHT EXCEPTION", err);
 });
 
-// ============================================================================
-// CONSTANTS & CONFIGURATION
-// ============================================================================
-
-const BASE_URL = "https://www.rightmove.co.uk";
-const DEFAULT_SEARCH_URL = `${BASE_URL}/property-for-sale/find.html`;
-
-const UK_REGIONS = {
-    london: "REGION^87490",
-    manchester: "REGION^904",
-    birmingham: "REGION^60",
-    leeds: "REGION^787",        // Corrected - verified working
-    liverpool: "REGION^1520",
-    bristol: "REGION^239",
-    edinburgh: "REGION^339",
-    glasgow: "REGION^394",
-    cardiff: "REGION^306",
-    belfast: "REGION^5882",
-};
-
-const USER_AGENTS = [
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0",
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:123.0) Gecko/20100101 Firefox/123.0",
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15",
-    "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
-];
-
-const STEALTHY_HEADERS = {
-    Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
-    "Accept-Encoding": "gzip, deflate, br",
-    "Accept-Language": "en-GB,en-US;q=0.9,en;q=0.8",
-    DNT: "1",
-    "Sec-Fetch-Dest": "document",
-    "Sec-Fetch-Mode": "navigate",
-    "Sec-Fetch-Site": "none",
-    "Sec-Fetch-User": "?1",
-    "Upgrade-Insecure-Requests": "1",
-    "Cache-Control": "max-age=0",
-    Pragma: "no-cache",
-    "Sec-Ch-Ua": '"Chromium";v="124", "Not;A=Brand";v="8"',
-    "Sec-Ch-Ua-Mobile": "?0",
-    "Sec-Ch-Ua-Platform": '"Windows"',
-};
-
-const REQUEST_DELAY_MS = 500;
-const REQUEST_JITTER = 300;
-const MAX_RETRIES = 5;
-const DEFAULT_PROPERTIES_PER_PAGE = 24;
-const DATASET_BATCH_SIZE = 15;
-const TIMEOUT_SECONDS = 60;
-
-// ============================================================================
-// UTILITY FUNCTIONS
-// ============================================================================
-
-const getRandomUserAgent = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
-
-const getRandomDelay = () => REQUEST_DELAY_MS + Math.random() * REQUEST_JITTER;
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const cleanText = (text) => {
-    if (!text) return null;
-    const cleaned = text.replace(/\s+/g, " ").trim();
-    return cleaned.length > 0 ? cleaned : null;
-};
-
-const cleanDescription = (text) => {
-    if (!text) return null;
-
-    // Remove excessive whitespace but preserve paragraph structure
-    let cleaned = text
-        .replace(/\r\n/g, '\n')           // Normalize line breaks
-        .replace(/\n{3,}/g, '\n\n')       // Max 2 consecutive newlines (paragraph break)
-        .replace(/[ \t]+/g, ' ')          // Replace multiple spaces/tabs with single space
-        .replace(/\n /g, '\n')            // Remove spaces at start of lines
-        .replace(/ \n/g, '\n')            // Remove spaces at end of lines
-        .trim();
-
-    // Remove "Description" heading if it appears at the start
-    if (cleaned.match(/^Description[:\s]*/i)) {
-        cleaned = cleaned.replace(/^Description[:\s]*/i, '').trim();
-    }
-
-    return cleaned.length > 0 ? cleaned : null;
-};
-
-const ensureAbsoluteUrl = (url) => {
-    if (!url) return null;
-    if (url.startsWith("http")) return url;
-    if (url.startsWith("//")) return `https:${url}`;
-    return `${BASE_URL}${url.startsWith("/") ? "" : "/"}${url}`;
-};
-
-const extractPropertyId = (url) => {
-    if (!url) return null;
-    const match = url.match(/\/properties\/(\d+)|propertyId[=:](\d+)|#properties[=/](\d+)/i);
-    return match ? match[1] || match[2] || match[3] : null;
-};
-
-const parsePrice = (priceText) => {
-    if (!priceText) return null;
-    const cleaned = priceText.replace(/[£,\s]/g, "");
-    const match = cleaned.match(/(\d+(?:\.\d+)?)/);
-    if (!match) return null;
-    let price = parseFloat(match[1]);
-    const lower = priceText.toLowerCase();
-    if (lower.includes("million")) price *= 1_000_000;
-    else if (lower.includes("k") && price < 1000) price *= 1000;
-    return { amount: price, currency: "GBP", displayPrice: cleanText(priceText) };
-};
-
-const extractJsonLd = (html) => {
-    if (!html) return [];
-    const $ = cheerioLoad(html);
-    const scripts = $('script[type="application/ld+json"]');
-    const data = [];
-    scripts.each((_, el) => {
-        try {
-            const content = $(el).html();
-            if (!content) return;
-            const parsed = JSON.parse(content);
-            if (Array.isArray(parsed)) data.push(...parsed);
-            else data.push(parsed);
-        } catch (e) {
-            log.debug(`JSON-LD parse error: ${e.message}`);
-        }
-    });
-    return data;
-};
-
-const buildSearchUrl = (input) => {
-    if (input.startUrl) return input.startUrl;
-    const params = new URLSearchParams();
-
-    if (input.locationIdentifier) {
-        params.append("locationIdentifier", input.locationIdentifier);
-        params.append("useLocationIdentifier", "true");
-    } else if (input.searchLocation) {
-        // Try to map searchLocation to UK_REGIONS
-        const locationKey = input.searchLocation.toLowerCase().trim();
-        const regionId = UK_REGIONS[locationKey];
-
-        if (regionId) {
-            // Found matching region, use locationIdentifier
-            params.append("locationIdentifier", regionId);
-            params.append("useLocationIdentifier", "true");
-        } else {
-            // For unrecognized locations, try as-is (might be postcode/custom identifier)
-            params.append("locationIdentifier", input.searchLocation);
-            params.append("useLocationIdentifier", "true");
-        }
-    } else {
-        // Default to London
-        params.append("locationIdentifier", UK_REGIONS.london);
-        params.append("useLocationIdentifier", "true");
-    }
-
-    params.append("radius", input.radius || "0.0");
-    if (input.minPrice) params.append("minPrice", input.minPrice);
-    if (input.maxPrice) params.append("maxPrice", input.maxPrice);
-    // Don't add channel parameter - search all property types
-    return `${DEFAULT_SEARCH_URL}?${params.toString()}`;
-};
-
-// ============================================================================
-// DATA EXTRACTION
-// ============================================================================
-
-const extractPropertyCard = ($, cardOrLink) => {
-    try {
-        // Wrap in Cheerio if not already
-        let propertyLink = $(cardOrLink);
-
-        // Check if it's an anchor tag by getting the tag name
-        const tagName = propertyLink.prop('tagName');
-
-        if (!tagName || tagName.toLowerCase() !== 'a') {
-            // If it's a container, find the link inside
-            propertyLink = propertyLink.find('a[href*="/properties/"]').first();
-        }
-
-        if (!propertyLink.length) return null;
-
-        const href = propertyLink.attr("href");
-        if (!href) return null;
-
-        const propertyUrl = ensureAbsoluteUrl(href);
-        const propertyId = extractPropertyId(propertyUrl);
-        if (!propertyId || !propertyUrl) return null;
-
-        // Get parent container for extracting other info
-        const container = propertyLink.closest('div, article, section, li').length
-            ? propertyLink.closest('div, article, section, li')
-            : propertyLink.parent();
-
-        let priceText = null;
-        let price = null;
-        const priceSelectors = ['[class*="price"]', '[class*="Price"]', '[data-test*="price"]', 'span', 'div'];
-        for (const selector of priceSelectors) {
-            const el = container.find(selector).filter((_, e) => {
-                const text = $(e).text();
-                return text.includes('£');
-            }).first();
-            if (el.length) {
-                priceText = cleanText(el.text());
-                if (priceText && priceText.includes("£")) {
-                    price = parsePrice(priceText);
-                    break;
-                }
-            }
-        }
-
-        let address = null;
-        const addressSelectors = ['[class*="address"]', '[class*="Address"]', '[class*="title"]', '[data-test*="address"]', 'h2', 'h3', 'span'];
-        for (const selector of addressSelectors) {
-            const el = container.find(selector).first();
-            if (!el.length) continue;
-            const text = cleanText(el.text());
-            if (text && text.length > 5 && !text.includes('£') && !text.match(/^\d+$/)) {
-                address = text;
-                break;
-            }
-        }
-        if (!address) {
-            // Try getting from link text
-            const linkText = cleanText(propertyLink.text());
-            if (linkText && linkText.length > 5) {
-                address = linkText.substring(0, 100);
-            }
-        }
-        if (!address) address = "N/A";
-
-        const containerText = container.text();
-        let bedrooms = null;
-        let bathrooms = null;
-        const bedMatch = containerText.match(/(\d+)\s*(?:bed|bedroom)/i);
-        const bathMatch = containerText.match(/(\d+)\s*(?:bath|bathroom)/i);
-        if (bedMatch) bedrooms = parseInt(bedMatch[1], 10);
-        if (bathMatch) bathrooms = parseInt(bathMatch[1], 10);
-
-        let image = null;
-        const imgSelectors = ["img", '[class*="image"]', '[class*="Image"]'];
-        for (const selector of imgSelectors) {
-            const imgEl = container.find(selector).first();
-            if (!imgEl.length) continue;
-            image = imgEl.attr("src") || imgEl.attr("data-src") || imgEl.attr("data-lazy");
-            if (image) break;
-        }
-
-        let agent = null;
-        const agentSelectors = ['[class*="agent"]', '[class*="Agent"]', '[class*="developer"]', '[class*="branch"]'];
-        for (const selector of agentSelectors) {
-            const el = container.find(selector).first();
-            if (!el.length) continue;
-            agent = cleanText(el.text());
-            if (agent && agent.length > 2) break;
-        }
-
-        const features = [];
-        container
-            .find('[class*="feature"], [class*="tag"], [class*="badge"]')
-            .each((_, el) => {
-                const feature = cleanText($(el).text());
-                if (feature && feature.length > 1 && feature.length < 100) features.push(feature);
-            });
-
-        return {
-            propertyId,
-            url: propertyUrl,
-            address: address || "N/A",
-            price: price || { amount: 0, currency: "GBP", displayPrice: priceText || "TBA" },
-            bedrooms,
-            bathrooms,
-            propertyType: null,
-            image: image ? ensureAbsoluteUrl(image) : null,
-            agent,
-            features,
-            isNewHome: true,
-        };
-    } catch (error) {
-        log.warning(`Card extraction error: ${error.message}`);
-        return null;
-    }
-};
-
-const extractPropertyDetails = ($, html, basicInfo = {}) => {
-    try {
-        const jsonLdData = extractJsonLd(html);
-        let propertyData = { ...basicInfo };
-        const propertyJsonLd = jsonLdData.find((d) => {
-            const type = d["@type"];
-            return type === "Product" || type === "RealEstateListing" || type === "Apartment" || type === "House";
-        });
-
-        if (propertyJsonLd) {
-            if (propertyJsonLd.name) propertyData.title = propertyJsonLd.name;
-            if (propertyJsonLd.description) propertyData.description = propertyJsonLd.description;
-            if (propertyJsonLd.image) propertyData.images = Array.isArray(propertyJsonLd.image) ? propertyJsonLd.image : [propertyJsonLd.image];
-            if (propertyJsonLd.offers) {
-                const offer = Array.isArray(propertyJsonLd.offers) ? propertyJsonLd.offers[0] : propertyJsonLd.offers;
-                propertyData.price = { amount: offer?.price, currency: offer?.priceCurrency };
-            }
-            // Extract bedrooms/bathrooms from JSON-LD if available
-            if (propertyJsonLd.numberOfRooms) propertyData.bedrooms = parseInt(propertyJsonLd.numberOfRooms, 10);
-            if (propertyJsonLd.numberOfBedrooms) propertyData.bedrooms = parseInt(propertyJsonLd.numberOfBedrooms, 10);
-            if (propertyJsonLd.numberOfBathroomsTotal) propertyData.bathrooms = parseInt(propertyJsonLd.numberOfBathroomsTotal, 10);
-        }
-
-        const title = propertyData.title || cleanText($("h1").first().text());
-
-        // Extract description using exact Rightmove selector
-        let description = propertyData.description;
-        if (!description) {
-            // Primary selector: exact Rightmove class
-            description = cleanDescription($('div.OD0O7FWw1TjbTD4sdRi1_').text());
-        }
-        if (!description) {
-            // Fallback selectors
-            description = cleanDescription($('[class*="description"]').text()) || cleanDescription($('[data-test*="description"]').text());
-        }
-
-        // Extract bedrooms and bathrooms from page text if not already found
-        const pageText = $.text();
-        if (!propertyData.bedrooms) {
-            const bedMatch = pageText.match(/(\d+)\s*(?:bed|bedroom|Bed|Bedroom)/i);
-            if (bedMatch) propertyData.bedrooms = parseInt(bedMatch[1], 10);
-        }
-        if (!propertyData.bathrooms) {
-            const bathMatch = pageText.match(/(\d+)\s*(?:bath|bathroom|Bath|Bathroom)/i);
-            if (bathMatch) propertyData.bathrooms = parseInt(bathMatch[1], 10);
-        }
-
-        // Extract agent/developer information
-        if (!propertyData.agent || propertyData.agent.length < 3) {
-            const agentSelectors = [
-                '[class*="agent-name"]',
-                '[class*="branch-name"]',
-                '[class*="developer"]',
-                '[class*="marketed-by"]',
-                '[data-test*="agent"]',
-                '[class*="agent"] h2',
-                '[class*="agent"] h3'
-            ];
-            for (const selector of agentSelectors) {
-                const agentEl = $(selector).first();
-                if (agentEl.length) {
-                    const agentText = cleanText(agentEl.text());
-                    if (agentText && agentText.length > 2 && agentText.length < 100) {
-                        propertyData.agent = agentText;
-                        break;
-                    }
-                }
-            }
-        }
-
-        // Extract key features using exact Rightmove selector
-        const keyFeatures = [];
-
-        // Primary selector: exact Rightmove class
-        $('ul._1uI3IvdF5sIuBtRIvKrreQ li').each((_, el) => {
-            const feature = cleanText($(el).text());
-            if (feature && feature.length > 2) keyFeatures.push(feature);
-        });
-
-        // Fallback selectors if primary didn't find features
-        if (keyFeatures.length === 0) {
-            $('[class*="key-feature"] li, [class*="bullet"] li, [class*="feature"] li').each((_, el) => {
-                const feature = cleanText($(el).text());
-                if (feature && feature.length > 2) keyFeatures.push(feature);
-            });
-        }
-
-        // Extract property type using exact Rightmove selector
-        if (!propertyData.propertyType) {
-            // Primary selector: exact Rightmove class
-            const propertyTypeEl = $('p._1hV1kqpVceE9m-QrX_hWDN').first();
-            if (propertyTypeEl.length) {
-                propertyData.propertyType = cleanText(propertyTypeEl.text());
-            }
-
-            // Fallback: check in details or page text
-            if (!propertyData.propertyType && details['Property Type']) {
-                propertyData.propertyType = details['Property Type'];
-            }
-        }
-
-        const details = {};
-        $('[class*="property-detail"] dt').each((_, dt) => {
-            const key = cleanText($(dt).text());
-            const value = cleanText($(dt).next().text());
-            if (key && value) details[key] = value;
-        });
-
-        // Try alternative detail extraction patterns
-        if (Object.keys(details).length === 0) {
-            $('[class*="details"] dt, [class*="info"] dt').each((_, dt) => {
-                const key = cleanText($(dt).text());
-                const value = cleanText($(dt).next().text());
-                if (key && value) details[key] = value;
-            });
-        }
-
-        if (!propertyData.images) {
-            propertyData.images = [];
-            $('[class*="gallery"] img, [data-test*="image"] img, [class*="carousel"] img, img[src*="crop"]').each((_, el) => {
-                const src = $(el).attr("src") || $(el).attr("data-src");
-                if (src && !propertyData.images.includes(src)) propertyData.images.push(ensureAbsoluteUrl(src));
-            });
-        }
-
-        const floorplans = [];
-        $('[class*="floorplan"] img, [class*="floor-plan"] img').each((_, el) => {
-            const src = $(el).attr("src") || $(el).attr("data-src");
-            if (src) floorplans.push(ensureAbsoluteUrl(src));
-        });
-
-        return {
-            ...propertyData,
-            title: title || propertyData.title,
-            description: description || propertyData.description,
-            keyFeatures: keyFeatures.length ? keyFeatures : null,
-            details: Object.keys(details).length ? details : null,
-            floorplans: floorplans.length ? floorplans : null,
-            images: propertyData.images?.length ? propertyData.images : null,
-            extractionMethod: propertyJsonLd ? "json-ld" : "html-parse",
-        };
-    } catch (error) {
-        log.warning(`Detail extraction error: ${error.message}`);
-        return { ...basicInfo, extractionMethod: "failed" };
-    }
-};
-
-// ============================================================================
-// MAIN ACTOR
-// ============================================================================
-
 (async () => {
     try {
         console.log('BOOT: starting Rightmove actor');
@@ -464,154 +65,525 @@ const extractPropertyDetails = ($, html, basicInfo = {}) => {
         log.info('✓ Input received:', JSON.stringify(input, null, 2));
         
         const {
-            searchLocation = null,
-            locationIdentifier = null,
-            radius = "0.0",
-            minPrice = null,
-            maxPrice = null,
             collectDetails = true,
+            properties: listedProperties = [],
             maxResults = 100,
             maxPages = 5,
-            startUrl = null,
+            channel = "buy",
+            monitoringMode = false,
+            monitoringStoreName = DEFAULT_MONITORING_STORE,
+            downloadMedia = false,
+            mediaTypes = MEDIA_TYPES,
+            imageSize = "medium",
+            maxMediaPerProperty = 20,
+            maxMediaPerRun = 500,
+            mediaStoreName = DEFAULT_MEDIA_STORE,
+            offlineDirectory,
+            offlineStoreName,
+            exportFormats = Object.keys(EXPORT_FORMATS),
+            webhooks = [],
+            webhookSecret,
+            maxWebhookMessages = 50,
+            detectDuplicates = false,
+            duplicateImageCount = DUPLICATE_IMAGE_COUNT,
+            qualityThresholds = {},
+            baselineTolerance = 20,
+            failOnQualityAlert = false,
+            qualityStoreName = DEFAULT_QUALITY_STORE,
         } = input;
 
+        if (!SEARCH_URLS[channel]) {
+            throw new Error(`Invalid channel "${channel}" - expected one of: ${Object.keys(SEARCH_URLS).join(", ")}`);
+        }
+
+        assertAllowed("exportFormats", toList(exportFormats), Object.keys(EXPORT_FORMATS));
+        const webhookTargets = parseWebhooks(webhooks);
+        const listedPropertyIds = parsePropertyIds(listedProperties);
+
+        if (downloadMedia) {
+            assertAllowed("mediaTypes", toList(mediaTypes), MEDIA_TYPES);
+            assertAllowed("imageSize", [imageSize], Object.keys(IMAGE_SIZES));
+        }
+
         log.info('✓ Input parameters extracted');
-        log.debug(`  searchLocation: ${searchLocation}`);
-        log.debug(`  locationIdentifier: ${locationIdentifier}`);
-        log.debug(`  radius: ${radius}`);
         log.debug(`  maxResults: ${maxResults}`);
         log.debug(`  maxPages: ${maxPages}`);
         log.debug(`  collectDetails: ${collectDetails}`);
+        log.debug(`  channel: ${channel}`);
+        log.debug(`  monitoringMode: ${monitoringMode}`);
+
+        // Offline mode parses saved pages instead of crawling
+        if (offlineDirectory || offlineStoreName) {
+            const pages = await loadOfflinePages({ directory: offlineDirectory, storeName: offlineStoreName });
+            if (pages.length === 0) throw new Error("Offline mode found no saved HTML pages to parse");
+            log.info(`✓ Parsing ${pages.length} saved page(s) offline`);
+
+            const records = parseOfflinePages(pages);
+            for (let start = 0; start < records.length; start += DATASET_BATCH_SIZE) {
+                await Dataset.pushData(records.slice(start, start + DATASET_BATCH_SIZE));
+            }
+            const offlineSummary = createMarketSummary();
+            for (const record of records) offlineSummary.add(record);
+            await Actor.setValue(MARKET_SUMMARY_KEY, offlineSummary.build());
+            log.info(`✓ Completed! Properties Scraped: ${records.length}`);
+            const exports = await exportDataset(toList(exportFormats));
+            await Actor.setValue("OUTPUT", {
+                status: "success",
+                mode: "offline",
+                pagesParsed: pages.length,
+                propertiesScraped: records.length,
+                exports,
+                marketSummaryKey: MARKET_SUMMARY_KEY,
+                completedAt: new Date().toISOString(),
+            });
+            return;
+        }
+
+        log.info('✓ Initializing proxy configuration...');
+        const proxyConfig = input.proxyConfiguration
+            ? await Actor.createProxyConfiguration(input.proxyConfiguration)
+            : await Actor.createProxyConfiguration();
+        log.info('✓ Proxy configuration created successfully');
 
-        const searchUrl = buildSearchUrl({ startUrl, searchLocation, locationIdentifier, radius, minPrice, maxPrice });
-        log.info('✓ Search URL built successfully');
+        const searchPlans = await buildSearchPlans({ ...input, channel, maxResults, maxPages }, proxyConfig);
+        log.info(`✓ ${searchPlans.length} search(es) planned`);
 
     log.info("✓ Starting Rightmove Property Scraper");
-    if (startUrl) {
-        log.info(`  Search Method: Direct URL`);
-    } else if (locationIdentifier) {
-        log.info(`  Search Method: Location Identifier (${locationIdentifier})`);
-    } else if (searchLocation) {
-        log.info(`  Search Method: Freetext Location "${searchLocation}"`);
-    } else {
-        log.info(`  Search Method: Default (London)`);
+    for (const plan of searchPlans) {
+        log.info(`  Search "${plan.label}" (${plan.mode}): ${plan.url}`);
+        log.info(`    Config: ${plan.maxResults} results, ${plan.maxPages} pages`);
+    }
+    if (listedPropertyIds.length) log.info(`  Properties: ${listedPropertyIds.length} listed by ID, scraped from their pages`);
+    log.info(`  Details: ${collectDetails}`);
+
+    const monitorLabels = [...searchPlans.map((plan) => plan.label), ...(listedPropertyIds.length ? [PROPERTY_LIST_LABEL] : [])];
+    const monitor = monitoringMode ? await createMonitor(monitoringStoreName, monitorLabels) : null;
+    if (monitor) log.info(`  Monitoring: emitting changes against snapshots in "${monitoringStoreName}"`);
+
+    const media = downloadMedia
+        ? await createMediaDownloader({
+              storeName: mediaStoreName,
+              types: toList(mediaTypes),
+              imageSize,
+              maxPerProperty: maxMediaPerProperty,
+              maxPerRun: maxMediaPerRun,
+              proxyConfig,
+          })
+        : null;
+    if (media) log.info(`  Media: downloading ${toList(mediaTypes).join(", ")} into "${mediaStoreName}"`);
+
+    // Duplicate groups carry over between runs when monitoring keeps a store for them
+    const duplicates = detectDuplicates
+        ? await createDuplicateDetector({
+              storeName: monitoringMode ? monitoringStoreName : null,
+              imageCount: duplicateImageCount,
+              proxyConfig,
+          })
+        : null;
+    if (duplicates) log.info(`  Duplicates: grouping listings of the same home${monitoringMode ? " across runs" : ""}`);
+
+    const notifier = webhookTargets.length
+        ? createNotifier({
+              webhooks: webhookTargets,
+              secret: webhookSecret,
+              maxMessages: maxWebhookMessages,
+              runId: Actor.getEnv().actorRunId,
+          })
+        : null;
+    if (notifier) log.info(`  Notifications: posting new listings to ${webhookTargets.length} webhook(s)`);
+
+    const throttle = createThrottle({ maxConcurrency: MAX_CONCURRENCY });
+    const quality = createQualityTracker();
+    const summary = createMarketSummary();
+
+    // A migrated or resurrected run picks up from the state its previous attempt saved
+    const saved = await loadCrawlState();
+    if (saved) {
+        log.info(`✓ Resuming from saved crawl state: ${saved.pushedIds.size} properties already written`);
+        monitor?.restoreState(saved.monitor);
+        media?.restoreState(saved.media);
+        if (saved.duplicates) duplicates?.restoreState(saved.duplicates);
+        if (saved.notifier) notifier?.restoreState(saved.notifier);
+        throttle.restoreState(saved.throttle);
+        if (saved.quality) quality.restoreState(saved.quality);
+        if (saved.summary) summary.restoreState(saved.summary);
+    }
+
+    let sessionsRetired = saved?.sessionsRetired ?? 0;
+    let propertiesScraped = saved?.propertiesScraped ?? 0;
+    let detailsScraped = saved?.detailsScraped ?? 0;
+    const propertyList = saved?.propertyList ?? { requested: listedPropertyIds.length, removed: 0, failed: 0 };
+    const propertySearches = saved?.propertySearches ?? new Map();
+    const propertyDataBatch = saved?.propertyDataBatch ?? [];
+    const heldRecords = saved?.heldRecords ?? [];
+    // Items the dataset is known to hold; more than that means the last attempt stopped after a write
+    let datasetItemCount = saved?.datasetItemCount ?? 0;
+    // Property IDs already passed to the dataset, so a retried or resumed page never writes a listing twice
+    const pushedIds = saved?.pushedIds ?? new Set();
+    // Unique keys of search pages queued but not yet handled
+    const pendingSearchPages = saved?.pendingSearchPages ?? new Set();
+    // Search pages whose handler has run before; a repeat is a retry or a resume after a partial run
+    const startedPages = saved?.startedPages ?? new Set();
+    const createBand = (url) => ({ url, pagesProcessed: 0, seenIds: new Set(), totalResults: null, finished: false, split: false });
+    const searchStates = saved?.searchStates ?? new Map(
+        searchPlans.map((plan) => [
+            plan.label,
+            {
+                ...plan,
+                pagesProcessed: 0,
+                failedPages: 0,
+                propertiesFound: 0,
+                newProperties: 0,
+                propertiesScraped: 0,
+                totalResults: null,
+                complete: false,
+                seenIds: new Set(),
+                // Oversized searches are split into bands, keyed by each band's first page URL
+                bands: new Map([[plan.url, createBand(plan.url)]]),
+            },
+        ]),
+    );
+
+    // Items written after the last save are taken as pushed, so a page that runs again doesn't repeat them
+    if (saved) {
+        const dataset = await Dataset.open();
+        const { itemCount } = await dataset.getInfo();
+        if (itemCount > datasetItemCount) {
+            const { items } = await dataset.getData({ offset: datasetItemCount, limit: itemCount - datasetItemCount });
+            for (const item of items) {
+                if (pushedIds.has(item.propertyId)) continue;
+                pushedIds.add(item.propertyId);
+                propertiesScraped += 1;
+                for (const label of item.searchLabels || []) {
+                    const search = searchStates.get(label);
+                    if (search) search.propertiesScraped += 1;
+                }
+            }
+            const writtenIds = new Set(items.map((item) => item.propertyId));
+            const unwritten = propertyDataBatch.filter((record) => !writtenIds.has(record.propertyId));
+            propertyDataBatch.splice(0, propertyDataBatch.length, ...unwritten);
+            datasetItemCount = itemCount;
+        }
     }
-    log.info(`  Search URL: ${searchUrl}`);
-    log.info(`  Config: ${maxResults} results, ${maxPages} pages, Details: ${collectDetails}`);
 
-    let propertiesScraped = 0;
-    let propertiesQueued = 0;
-    const propertyUrls = new Set();
-    const propertyDataBatch = [];
-    let currentPage = 1;
+    // Agent branches being crawled, keyed by branch ID; filled from the profile page and the branch's listings
+    const branches = saved?.branches ?? new Map();
+    for (const plan of saved ? [] : searchPlans) {
+        if (!plan.branchId) continue;
+        const branch = branches.get(plan.branchId) || { branchId: plan.branchId, url: plan.branchUrl, labels: {} };
+        branch.labels[plan.channel] = plan.label;
+        branches.set(plan.branchId, branch);
+    }
 
-    log.info('✓ Initializing proxy configuration...');
-    const proxyConfig = input.proxyConfiguration
-        ? await Actor.createProxyConfiguration(input.proxyConfiguration)
-        : await Actor.createProxyConfiguration();
-    log.info('✓ Proxy configuration created successfully');
+    const buildBranchRecord = (branch) => {
+        const { profile = {}, agent = {} } = branch;
+        const totalFor = (branchChannel) => searchStates.get(branch.labels[branchChannel])?.totalResults ?? null;
+        return {
+            recordType: "agentBranch",
+            branchId: branch.branchId,
+            name: profile.name || agent.name || null,
+            address: profile.address || agent.address || null,
+            phone: profile.phone || agent.phone || null,
+            url: branch.url || agent.url || null,
+            saleCount: profile.saleCount ?? totalFor("buy"),
+            letCount: profile.letCount ?? totalFor("rent"),
+            searchLabels: Object.values(branch.labels),
+            scrapedAt: new Date().toISOString(),
+        };
+    };
+
+    const persister = createStatePersister(() => ({
+        sessionsRetired,
+        propertiesScraped,
+        detailsScraped,
+        propertyList,
+        pendingSearchPages,
+        propertySearches,
+        propertyDataBatch,
+        heldRecords,
+        datasetItemCount,
+        pushedIds,
+        startedPages,
+        searchStates,
+        branches,
+        monitor: monitor?.getState() ?? null,
+        media: media?.getState() ?? null,
+        duplicates: duplicates?.getState() ?? null,
+        notifier: notifier?.getState() ?? null,
+        throttle: throttle.getState(),
+        quality: quality.getState(),
+        summary: summary.getState(),
+    }));
+
+    // Records leave the batch only once the dataset has them, and the state is saved straight after,
+    // so a resumed run neither loses nor repeats a batch (see datasetItemCount)
+    let flushing = null;
+    const flushDataset = async () => {
+        while (flushing) await flushing;
+        if (propertyDataBatch.length === 0) return;
+        const batch = propertyDataBatch.slice();
+        flushing = Dataset.pushData(batch);
+        try {
+            await flushing;
+        } finally {
+            flushing = null;
+        }
+        propertyDataBatch.splice(0, batch.length);
+        datasetItemCount += batch.length;
+        notifier?.notify(batch);
+        await persister.persist();
+    };
+
+    const pushRecord = async (record) => {
+        if (pushedIds.has(record.propertyId)) return;
+        pushedIds.add(record.propertyId);
+        quality.add(record);
+        summary.add(record);
+
+        const branch = branches.get(record.agent?.branchId);
+        if (branch && !branch.agent) branch.agent = record.agent;
+
+        const searchLabels = [...(propertySearches.get(record.propertyId) || [])];
+        for (const label of searchLabels) {
+            const search = searchStates.get(label);
+            if (search) search.propertiesScraped += 1;
+        }
+        propertiesScraped += 1;
+
+        const grouped = duplicates && !record.recordType && record.status !== "removed" ? duplicates.assign(record) : record;
+        const output = monitor ? monitor.check({ ...grouped, searchLabels }) : { ...grouped, searchLabels };
+        if (!output) return;
+        propertyDataBatch.push(output);
+        if (propertyDataBatch.length >= DATASET_BATCH_SIZE) await flushDataset();
+    };
+
+    // Media is only downloaded for records the monitor will write, and their content is hashed while
+    // the media URLs are still remote, so store keys never count as a content change
+    const withMedia = async (records) => {
+        if (!media) return records;
+        const wanted = monitor
+            ? records.filter((record) => monitor.prepare(record, [...(propertySearches.get(record.propertyId) || [])]))
+            : records;
+        const downloaded = new Map((await media.downloadAll(wanted)).map((record) => [record.propertyId, record]));
+        return records.map((record) => downloaded.get(record.propertyId) || record);
+    };
+
+    // Records are held back while search pages are outstanding, so a property found by
+    // several searches is written once with every label that matched it.
+    const queueRecord = async (record) => {
+        if (pendingSearchPages.size > 0) heldRecords.push(record);
+        else await pushRecord(record);
+    };
+
+    // A listed property that has gone is written as removed rather than failing its request
+    const queueRemovedRecord = async (basicInfo, removedReason) => {
+        if (pushedIds.has(basicInfo.propertyId)) return;
+        propertyList.removed += 1;
+        log.info(`  Property ${basicInfo.propertyId} has been removed (${removedReason})`);
+        await queueRecord(buildRemovedRecord(basicInfo, removedReason));
+    };
+
+    const releaseHeldRecords = async () => {
+        while (heldRecords.length > 0) await pushRecord(heldRecords.shift());
+    };
+
+    const completeSearchPage = async (uniqueKey) => {
+        pendingSearchPages.delete(uniqueKey);
+        if (pendingSearchPages.size === 0) await releaseHeldRecords();
+    };
+
+    // Search pages jump the queue so every search has reported its properties before details are written.
+    // A page the queue already has (say, from before a resume) still counts as pending until it is handled.
+    const enqueueSearchPage = async (crawler, searchLabel, url, pageNumber, band = url) => {
+        const uniqueKey = `${searchLabel}|${url}`;
+        pendingSearchPages.add(uniqueKey);
+        const { addedRequests } = await crawler.addRequests(
+            [
+                {
+                    url,
+                    uniqueKey,
+                    userData: { isPropertyDetail: false, searchLabel, pageNumber, band },
+                },
+            ],
+            { forefront: true },
+        );
+        if (addedRequests[0]?.wasAlreadyHandled) await completeSearchPage(uniqueKey);
+    };
 
     log.info('✓ Creating CheerioCrawler...');
     const crawler = new CheerioCrawler({
         proxyConfiguration: proxyConfig,
-        requestHandlerTimeoutSecs: TIMEOUT_SECONDS,
+        // Photo hashing and media downloads run inside the handler, so it gets their worst case on top
+        requestHandlerTimeoutSecs: TIMEOUT_SECONDS + (duplicates?.maxDurationSecs ?? 0) + (media?.maxDurationSecs ?? 0),
         maxRequestRetries: MAX_RETRIES,
-        maxConcurrency: 5,
+        maxConcurrency: MAX_CONCURRENCY,
         useSessionPool: true,
+        // Blocks are recognised by classifyResponse rather than by status code alone
+        sessionPoolOptions: { blockedStatusCodes: [] },
+        ignoreHttpErrorStatusCodes: [503],
+        additionalMimeTypes: ["text/plain"],
+
+        // Each session keeps one header fingerprint, so its cookies and headers always belong to the same browser
+        preNavigationHooks: [
+            ({ session }, gotOptions) => {
+                const sessionData = session?.userData || {};
+                sessionData.headers ??= buildHeaderFingerprint();
+                // got-scraping's own generated headers would contradict the fingerprint, so it is switched off
+                Object.assign(gotOptions, { useHeaderGenerator: false, headers: { ...gotOptions.headers, ...sessionData.headers } });
+            },
+        ],
 
-        async requestHandler({ request, $, body, response }) {
+        async requestHandler({ request, response, session, $, body }) {
             const { url, userData } = request;
             try {
-                request.headers = { ...request.headers, ...STEALTHY_HEADERS, "User-Agent": getRandomUserAgent() };
+                const responseClass = classifyResponse({ statusCode: response.statusCode, body });
+                const { autoscaledPool } = crawler;
+                const concurrency = throttle.record(responseClass, autoscaledPool.maxConcurrency);
+                if (concurrency) {
+                    autoscaledPool.maxConcurrency = concurrency;
+                    autoscaledPool.desiredConcurrency = Math.min(autoscaledPool.desiredConcurrency, concurrency);
+                }
+                if (responseClass === "notFound") {
+                    if (userData?.isListedProperty) {
+                        await queueRemovedRecord(userData.basicInfo, "notFound");
+                        return;
+                    }
+                    request.noRetry = true;
+                    throw new Error(`Page not found (HTTP ${response.statusCode})`);
+                }
+                if (responseClass !== "ok") {
+                    session?.retire();
+                    sessionsRetired += 1;
+                    const error = new Error(`Response classed as ${responseClass} (HTTP ${response.statusCode}) - retiring session`);
+                    error.responseClass = responseClass;
+                    throw error;
+                }
 
                 if (userData?.isPropertyDetail) {
-                    const propertyDetails = extractPropertyDetails($, body, userData.basicInfo);
-                    const property = { ...userData.basicInfo, ...propertyDetails, scrapedAt: new Date().toISOString() };
-                    propertyDataBatch.push(property);
-                    propertiesScraped += 1;
-                    log.info(`  Property ${propertiesScraped}/${maxResults}: ${property.address}`);
-                    if (propertyDataBatch.length >= DATASET_BATCH_SIZE) {
-                        await Dataset.pushData([...propertyDataBatch]);
-                        propertyDataBatch.length = 0;
+                    if (pushedIds.has(userData.basicInfo.propertyId)) return;
+                    const removedReason = userData.isListedProperty
+                        ? detectRemovedListing($, body, userData.basicInfo.propertyId, request.loadedUrl)
+                        : null;
+                    if (removedReason) {
+                        await queueRemovedRecord(userData.basicInfo, removedReason);
+                        return;
                     }
+                    const property = buildDetailRecord($, body, userData.basicInfo);
+                    detailsScraped += 1;
+                    log.info(`  Property ${detailsScraped}/${propertySearches.size}: ${property.address}`);
+                    if (duplicates) await duplicates.hashImages([property]);
+                    const [record] = await withMedia([property]);
+                    await queueRecord(record);
                     return;
                 }
 
-                let propertyCards = [];
-
-                // Try multiple patterns to find property containers
-                const possibleSelectors = [
-                    'a[href*="/properties/"]',  // All property links
-                    'div[id^="property-"]',      // Property divs with IDs
-                    'article',                    // Article elements
-                    'div.l-searchResult'         // Search result containers
-                ];
+                if (userData?.isBranchProfile) {
+                    const branch = branches.get(userData.branchId);
+                    branch.profile = extractBranchProfile($, body, userData.branchId);
+                    log.info(`  Branch ${userData.branchId}: ${branch.profile.name || "profile scraped"}`);
+                    return;
+                }
 
-                for (const selector of possibleSelectors) {
-                    propertyCards = $(selector).toArray();
-                    if (propertyCards.length >= 10) break;  // Found substantial results
+                const search = searchStates.get(userData.searchLabel);
+                const band = search.bands.get(userData.band);
+                const repeat = startedPages.has(request.uniqueKey);
+                startedPages.add(request.uniqueKey);
+                if (!repeat) {
+                    search.pagesProcessed += 1;
+                    band.pagesProcessed += 1;
                 }
 
-                // Filter to only property links that lead to detail pages
-                if (propertyCards.length === 0 || !propertyCards[0] || propertyCards[0].tagName !== 'A') {
-                    propertyCards = $('a[href*="/properties/"]')
-                        .filter((_, el) => {
-                            const href = $(el).attr('href');
-                            return href && /\/properties\/\d+/.test(href);
-                        })
-                        .toArray();
+                // A repeat of a page that was split only needs its halves queued (already-queued ones are skipped)
+                if (band.split) {
+                    for (const halfUrl of band.halves) await enqueueSearchPage(crawler, search.label, halfUrl, 1);
+                    await completeSearchPage(request.uniqueKey);
+                    return;
                 }
 
+                const page = parseSearchPage($, body, search.mode);
+                const cardResults = page.properties;
+                if (search.mode === "soldPrices" && !page.modelFound) log.warning(`  ⚠ No sold prices data found on ${url}`);
+                if (page.resultCount != null && search.totalResults == null) {
+                    search.totalResults = page.resultCount;
+                    log.info(`  Search "${search.label}" reports ${search.totalResults} matching properties`);
+                }
 
+                // Rightmove stops paging at SEARCH_RESULT_CAP, so a band that reports more than that (and more
+                // than the search still wants) is split in two and this page is dropped in favour of the halves
+                if (page.resultCount != null && band.totalResults == null) {
+                    band.totalResults = page.resultCount;
+                    const wanted = search.maxResults - search.propertiesFound;
+                    if (band.totalResults > SEARCH_RESULT_CAP && wanted > SEARCH_RESULT_CAP && search.mode !== "soldPrices") {
+                        const halves = splitSearchUrl(band.url);
+                        if (halves) {
+                            band.split = true;
+                            band.halves = halves;
+                            log.info(`  [${search.label}] ${band.totalResults} results exceed the ${SEARCH_RESULT_CAP} cap - splitting into narrower searches`);
+                            for (const halfUrl of halves) search.bands.set(halfUrl, createBand(halfUrl));
+                            for (const halfUrl of halves) await enqueueSearchPage(crawler, search.label, halfUrl, 1);
+                            await completeSearchPage(request.uniqueKey);
+                            return;
+                        }
+                        log.warning(`  ⚠ [${search.label}] Cannot narrow ${band.url} further - only the first ${SEARCH_RESULT_CAP} of ${band.totalResults} results are reachable`);
+                    }
+                }
+                for (const property of cardResults) band.seenIds.add(property.propertyId);
 
+                // Properties already found by another search only gain this search's label; featured listings
+                // repeat across pages and bands, so each is counted once per search. A repeated page queues
+                // again whatever it hadn't got round to writing (queued detail pages are skipped by URL).
                 const properties = [];
-                for (const card of propertyCards) {
-                    if (propertiesQueued >= maxResults) break;
-                    const property = extractPropertyCard($, card);
-                    if (property && !propertyUrls.has(property.url)) {
-                        propertyUrls.add(property.url);
-                        properties.push(property);
-                        propertiesQueued += 1;
+                for (const property of cardResults) {
+                    if (search.seenIds.has(property.propertyId)) {
+                        if (repeat && !pushedIds.has(property.propertyId)) properties.push(property);
+                        continue;
+                    }
+                    if (search.propertiesFound >= search.maxResults) break;
+                    search.seenIds.add(property.propertyId);
+                    search.propertiesFound += 1;
+
+                    const labels = propertySearches.get(property.propertyId);
+                    if (labels) {
+                        labels.add(search.label);
+                        continue;
                     }
+                    propertySearches.set(property.propertyId, new Set([search.label]));
+                    search.newProperties += 1;
+                    properties.push(property);
                 }
-                log.info(`  Extracted ${properties.length} new properties (${propertiesQueued}/${maxResults} total queued)`);
+                log.info(`  [${search.label}] Extracted ${properties.length} new properties (${search.propertiesFound}/${search.maxResults} found)`);
 
                 // Warn if no properties found
-                if (properties.length === 0 && propertyCards.length > 0) {
-                    log.warning(`  ⚠ Found ${propertyCards.length} containers but extracted 0 properties - check selectors`);
-                } else if (properties.length === 0 && propertyCards.length === 0) {
+                if (cardResults.length === 0 && page.containerCount > 0) {
+                    log.warning(`  ⚠ Found ${page.containerCount} containers but extracted 0 properties - check selectors`);
+                } else if (cardResults.length === 0) {
                     log.warning(`  ⚠ No properties found - location may have no new homes available`);
                 }
 
-                if (collectDetails) {
+                if (collectDetails && search.mode !== "soldPrices") {
                     for (const property of properties) {
-                        if (propertiesQueued > maxResults) break;
                         await crawler.addRequests([
                             {
                                 url: property.url,
                                 userData: { isPropertyDetail: true, basicInfo: property },
-                                headers: { ...STEALTHY_HEADERS, "User-Agent": getRandomUserAgent() },
                             },
                         ]);
-                        // Counter already incremented above when property was added to properties array
                     }
                 } else {
-                    for (const property of properties) {
-                        if (propertiesScraped >= maxResults) break;
-                        propertyDataBatch.push({
-                            ...property,
-                            scrapedAt: new Date().toISOString(),
-                            extractionMethod: "basic-card",
-                        });
-                        propertiesScraped += 1;
-                    }
-                    if (propertyDataBatch.length >= DATASET_BATCH_SIZE) {
-                        await Dataset.pushData([...propertyDataBatch]);
-                        propertyDataBatch.length = 0;
-                    }
+                    let records = properties.map((property) => buildCardRecord(property, page.extractionMethod));
+                    if (duplicates && search.mode !== "soldPrices") await duplicates.hashImages(records);
+                    if (search.mode !== "soldPrices") records = await withMedia(records);
+                    for (const record of records) await queueRecord(record);
                 }
 
-                if (propertiesQueued < maxResults && currentPage < maxPages) {
+                // A band is finished once it runs out of results rather than hitting its limits
+                const reachedEnd =
+                    cardResults.length === 0 || (band.totalResults != null && band.seenIds.size >= band.totalResults);
+                if (reachedEnd) band.finished = true;
+                const reachedCap =
+                    search.mode !== "soldPrices" && band.pagesProcessed * DEFAULT_PROPERTIES_PER_PAGE >= SEARCH_RESULT_CAP;
+
+                if (search.propertiesFound < search.maxResults && band.pagesProcessed < search.maxPages && !reachedEnd && !reachedCap) {
                     let nextUrl = null;
                     const nextArrow = $("span.dsrm_button__icon.dsrm_button__icon--right").closest("a,button");
                     const nextHref = nextArrow.attr("href") || nextArrow.attr("data-url");
@@ -624,23 +596,23 @@ const extractPropertyDetails = ($, html, basicInfo = {}) => {
 
                     if (!nextUrl) {
                         const urlObj = new URL(url);
-                        const index = parseInt(urlObj.searchParams.get("index"), 10) || 0;
-                        urlObj.searchParams.set("index", index + DEFAULT_PROPERTIES_PER_PAGE);
+                        if (search.mode === "soldPrices") {
+                            // Sold prices paginate by page number rather than result offset
+                            const pageNumber = parseInt(urlObj.searchParams.get("page"), 10) || 1;
+                            urlObj.searchParams.set("page", pageNumber + 1);
+                        } else {
+                            const index = parseInt(urlObj.searchParams.get("index"), 10) || 0;
+                            urlObj.searchParams.set("index", index + DEFAULT_PROPERTIES_PER_PAGE);
+                        }
                         nextUrl = urlObj.toString();
                     }
 
                     if (nextUrl) {
-                        currentPage += 1;
-                        await crawler.addRequests([
-                            {
-                                url: nextUrl,
-                                userData: { isPropertyDetail: false, pageNumber: currentPage },
-                                headers: { ...STEALTHY_HEADERS, "User-Agent": getRandomUserAgent() },
-                            },
-                        ]);
+                        await enqueueSearchPage(crawler, search.label, nextUrl, (userData.pageNumber || 1) + 1, userData.band);
                     }
                 }
 
+                await completeSearchPage(request.uniqueKey);
                 await sleep(getRandomDelay());
             } catch (error) {
                 log.error(`Handler error: ${error.message}`);
@@ -648,41 +620,158 @@ const extractPropertyDetails = ($, html, basicInfo = {}) => {
             }
         },
 
-            errorHandler: async ({ request }) => {
+            errorHandler: async ({ request }, error) => {
                 log.warning(`Failed: ${request.url} (retries: ${request.retryCount}/${MAX_RETRIES})`);
+                if (error.responseClass) await sleep(backoffDelay(request.retryCount));
+            },
+
+            failedRequestHandler: async ({ request }) => {
+                log.error(`Giving up on ${request.url} after ${request.retryCount} retries`);
+                if (request.userData?.isListedProperty) propertyList.failed += 1;
+                if (request.userData?.isBranchProfile) return;
+                if (!request.userData?.isPropertyDetail) {
+                    const search = searchStates.get(request.userData.searchLabel);
+                    search.failedPages += 1;
+                    await completeSearchPage(request.uniqueKey);
+                }
             },
         });
         log.info('✓ CheerioCrawler created successfully');
 
-        log.info('✓ Adding initial request to queue...');
-        await crawler.addRequests([
-            {
-                url: searchUrl,
-                userData: { isPropertyDetail: false, pageNumber: 1 },
-                headers: { ...STEALTHY_HEADERS, "User-Agent": getRandomUserAgent() },
-            },
-        ]);
-        log.info('✓ Initial request added successfully');
+        log.info('✓ Adding initial requests to queue...');
+        for (const plan of searchPlans) {
+            await enqueueSearchPage(crawler, plan.label, plan.url, 1);
+        }
+        // Listed properties go straight to their pages, with only the ID and URL to build on
+        await crawler.addRequests(
+            listedPropertyIds.map((propertyId) => {
+                if (!propertySearches.has(propertyId)) propertySearches.set(propertyId, new Set([PROPERTY_LIST_LABEL]));
+                const url = `${BASE_URL}/properties/${propertyId}`;
+                return { url, userData: { isPropertyDetail: true, isListedProperty: true, basicInfo: { propertyId, url } } };
+            }),
+        );
+        for (const branch of branches.values()) {
+            if (!branch.url) continue;
+            await crawler.addRequests([
+                {
+                    url: branch.url,
+                    userData: { isBranchProfile: true, branchId: branch.branchId },
+                },
+            ]);
+        }
+        log.info('✓ Initial requests added successfully');
+        await persister.persist();
 
         log.info("✓ Starting crawler...");
         await crawler.run();
         log.info('✓ Crawler finished successfully');
 
+        await releaseHeldRecords();
+
+        // A search is complete when every band it was split into ran out of results without a failed page
+        for (const search of searchStates.values()) {
+            const bands = [...search.bands.values()].filter((band) => !band.split);
+            search.bandCount = bands.length;
+            search.truncatedBands = bands.filter((band) => band.totalResults > SEARCH_RESULT_CAP).length;
+            search.expectedResults = search.totalResults == null ? null : Math.min(search.totalResults, search.maxResults);
+            search.complete = search.failedPages === 0 && bands.every((band) => band.finished);
+        }
+        for (const branch of branches.values()) propertyDataBatch.push(buildBranchRecord(branch));
+
+        if (monitor) {
+            const completeLabels = [...searchStates.values()].filter((search) => search.complete).map((search) => search.label);
+            const incomplete = searchStates.size - completeLabels.length;
+            if (incomplete > 0) {
+                log.info(`  ${incomplete} search(es) stopped at their limits - skipping removal detection for them`);
+            }
+            propertyDataBatch.push(...monitor.collectRemoved(completeLabels));
+            await monitor.save(completeLabels);
+        }
+        if (duplicates) await duplicates.save();
+
         if (propertyDataBatch.length > 0) {
             log.info(`✓ Pushing final batch of ${propertyDataBatch.length} properties...`);
-            await Dataset.pushData(propertyDataBatch);
+            await flushDataset();
+        }
+
+        const searches = [...searchStates.values()].map((search) => ({
+            label: search.label,
+            url: search.url,
+            mode: search.mode,
+            branchId: search.branchId ?? null,
+            totalResults: search.totalResults,
+            expectedResults: search.expectedResults,
+            bands: search.bandCount,
+            truncatedBands: search.truncatedBands,
+            pagesProcessed: search.pagesProcessed,
+            complete: search.complete,
+            propertiesFound: search.propertiesFound,
+            newProperties: search.newProperties,
+            propertiesScraped: search.propertiesScraped,
+        }));
+        const pagesProcessed = searches.reduce((sum, search) => sum + search.pagesProcessed, 0);
+        const reportedTotals = searches.filter((search) => search.totalResults != null);
+        const expectedResults = reportedTotals.reduce((sum, search) => sum + search.expectedResults, 0);
+        const collectedResults = reportedTotals.reduce((sum, search) => sum + search.propertiesFound, 0);
+
+        const exports = await exportDataset(toList(exportFormats));
+
+        // Fill rates are compared with fixed thresholds and with the last run that raised no alerts
+        const qualityReport = quality.buildReport({
+            thresholds: qualityThresholds,
+            baseline: await loadQualityBaseline(qualityStoreName),
+            tolerance: baselineTolerance / 100,
+        });
+        await Actor.setValue(QUALITY_REPORT_KEY, qualityReport);
+        await Actor.setValue(MARKET_SUMMARY_KEY, summary.build());
+        for (const alert of qualityReport.alerts) {
+            const expected = alert.reason === "belowThreshold" ? `threshold ${alert.threshold}` : `baseline ${alert.baselineRate}`;
+            log.warning(`  ⚠ Data quality: ${alert.field} filled on ${Math.round(alert.rate * 100)}% of records (${expected})`);
+        }
+        if (qualityReport.alerts.length === 0 && qualityReport.records > 0) await saveQualityBaseline(qualityStoreName, qualityReport);
+        const qualityFailed = failOnQualityAlert && qualityReport.alerts.length > 0;
+
+        if (notifier) {
+            await notifier.drain();
+            log.info(`  Notifications: ${notifier.counts.sent} sent, ${notifier.counts.failed} failed, ${notifier.counts.skipped} over the cap`);
         }
 
         log.info("✓ Completed!");
-        log.info(`  Properties Scraped: ${propertiesScraped}, Queued: ${propertiesQueued}, Unique: ${propertyUrls.size}, Pages: ${currentPage}`);
+        log.info(`  Properties Scraped: ${propertiesScraped}, Unique: ${propertySearches.size}, Pages: ${pagesProcessed}`);
+        for (const search of searches) {
+            log.info(`  [${search.label}] Found: ${search.propertiesFound}, New: ${search.newProperties}, Pages: ${search.pagesProcessed}`);
+            if (search.expectedResults != null && search.propertiesFound < search.expectedResults) {
+                log.warning(`  ⚠ [${search.label}] Collected ${search.propertiesFound} of ${search.expectedResults} expected results`);
+            }
+        }
 
         await Actor.setValue("OUTPUT", {
-            status: "success",
+            status: qualityFailed ? "failed" : "success",
+            ...(qualityFailed && { error: `Data quality check failed for: ${qualityReport.alerts.map((alert) => alert.field).join(", ")}` }),
             propertiesScraped,
-            uniqueProperties: propertyUrls.size,
-            pagesProcessed: currentPage,
+            uniqueProperties: propertySearches.size,
+            totalResults: reportedTotals.length ? reportedTotals.reduce((sum, search) => sum + search.totalResults, 0) : null,
+            expectedResults: reportedTotals.length ? expectedResults : null,
+            collectedResults: reportedTotals.length ? collectedResults : null,
+            pagesProcessed,
+            searches,
+            monitoring: monitor ? monitor.counts : null,
+            media: media ? media.counts : null,
+            duplicates: duplicates ? duplicates.counts : null,
+            propertyList: listedPropertyIds.length ? propertyList : null,
+            responses: throttle.counts,
+            sessionsRetired,
+            exports,
+            notifications: notifier ? notifier.counts : null,
+            quality: { reportKey: QUALITY_REPORT_KEY, alerts: qualityReport.alerts },
+            marketSummaryKey: MARKET_SUMMARY_KEY,
             completedAt: new Date().toISOString(),
         });
+        await persister.clear();
+        if (qualityFailed) {
+            log.error("Data quality check failed - see the QUALITY_REPORT record");
+            process.exitCode = 1;
+        }
         log.info('✓ Actor completed successfully');
         
     } catch (error) {
@@ -709,7 +798,7 @@ const extractPropertyDetails = ($, html, basicInfo = {}) => {
         process.exitCode = 1;
     } finally {
         log.info('Exiting actor...');
-        await Actor.exit();
+        await Actor.exit({ exitCode: process.exitCode || 0 });
     }
 })().catch((error) => {
     console.error('========================================');
@@ -0,0 +1,139 @@
+import { createHash } from "node:crypto";
+
+import { Actor, log } from "apify";
+import { gotScraping } from "got-scraping";
+
+import {
+    DEFAULT_PROPERTIES_PER_PAGE,
+    IMAGE_SIZES,
+    MEDIA_CONCURRENCY,
+    MEDIA_CONTENT_TYPES,
+    MEDIA_RETRIES,
+    TIMEOUT_SECONDS,
+} from "./constants.js";
+import { runWithConcurrency } from "./utils.js";
+
+// Resized images live at <host>/dir/<path>_max_<w>x<h>.<ext>; the original has neither part
+export const sizeImageUrl = (url, size) => {
+    const original = url.replace(/_max_\d+x\d+(?=\.\w+$)/, "").replace(/\/dir\/(?:crop\/[^/]+\/)?/, "/");
+    const dimensions = IMAGE_SIZES[size];
+    if (!dimensions) return original;
+    return original.replace(/^(https?:\/\/[^/]+)\//, "$1/dir/").replace(/(\.\w+)$/, `_max_${dimensions}$1`);
+};
+
+// Media slots in download order, so the per-property limit keeps floorplans, EPCs and brochures over photos
+const listMediaSlots = (record, types) => {
+    const slots = [];
+    const addArray = (type, field) => {
+        if (!types.includes(type) || !Array.isArray(record[field])) return;
+        record[field].forEach((value, index) => slots.push({ type, field, index, url: value }));
+    };
+    addArray("floorplans", "floorplans");
+    if (types.includes("epcGraphs") && record.epcGraphUrl) slots.push({ type: "epcGraphs", field: "epcGraphUrl", url: record.epcGraphUrl });
+    addArray("brochures", "brochures");
+    addArray("images", "images");
+    if (types.includes("images") && !record.images?.length && record.image) slots.push({ type: "images", field: "image", url: record.image });
+    return slots.filter((slot) => /^https?:\/\//.test(slot.url || ""));
+};
+
+// Downloads property media into a key-value store under content-hash keys, so the same file fetched
+// from two URLs (or in two runs) is stored once. Each URL is fetched at most once per run.
+export const createMediaDownloader = async ({ storeName, types, imageSize, maxPerProperty, maxPerRun, proxyConfig }) => {
+    const store = await Actor.openKeyValueStore(storeName);
+    const keysByUrl = new Map();
+    const counts = { downloaded: 0, deduplicated: 0, failed: 0, skipped: 0 };
+    let fetches = 0;
+
+    const storeMedia = async (url) => {
+        const response = await gotScraping({
+            url,
+            proxyUrl: proxyConfig ? await proxyConfig.newUrl() : undefined,
+            responseType: "buffer",
+            timeout: { request: TIMEOUT_SECONDS * 1000 },
+            retry: { limit: MEDIA_RETRIES },
+        });
+        if (response.statusCode !== 200) throw new Error(`HTTP ${response.statusCode}`);
+
+        // The key is the content hash alone; the file type travels as the record's content type
+        const key = createHash("sha256").update(response.body).digest("hex");
+        if (await store.recordExists(key)) {
+            counts.deduplicated += 1;
+        } else {
+            const contentType = String(response.headers["content-type"] || "").split(";")[0].trim();
+            await store.setValue(key, response.body, { contentType: MEDIA_CONTENT_TYPES.includes(contentType) ? contentType : "application/octet-stream" });
+            counts.downloaded += 1;
+        }
+        return key;
+    };
+
+    // Each URL is fetched once; later slots with the same URL wait for the first fetch
+    const fetchOnce = (url) => {
+        if (!keysByUrl.has(url)) {
+            keysByUrl.set(
+                url,
+                storeMedia(url).catch((error) => {
+                    log.warning(`  ⚠ Media download failed for ${url}: ${error.message}`);
+                    counts.failed += 1;
+                    return null;
+                }),
+            );
+        }
+        return keysByUrl.get(url);
+    };
+
+    return {
+        counts,
+
+        // Longest one request handler's downloads can take, MEDIA_CONCURRENCY files at a time with their
+        // retries: a detail page's files, or the one photo of each card on a search page
+        maxDurationSecs:
+            Math.ceil(Math.max(maxPerProperty, DEFAULT_PROPERTIES_PER_PAGE) / MEDIA_CONCURRENCY) * TIMEOUT_SECONDS * (MEDIA_RETRIES + 1),
+
+        getState: () => ({ counts: { ...counts }, fetches }),
+        restoreState(state) {
+            Object.assign(counts, state.counts);
+            ({ fetches } = state);
+        },
+
+        // Returns the records with downloaded media replaced by store keys; anything over the limits or
+        // failing to download keeps its remote URL. All the records' files share one pool of downloads.
+        async downloadAll(records) {
+            const outputs = records.map((record) => {
+                const output = { ...record };
+                for (const field of ["images", "floorplans", "brochures"]) {
+                    if (Array.isArray(output[field])) output[field] = [...output[field]];
+                }
+                return output;
+            });
+
+            // Limits are applied in slot order before anything is fetched
+            const planned = [];
+            const claimed = new Set();
+            records.forEach((record, recordIndex) => {
+                for (const [position, slot] of listMediaSlots(record, types).entries()) {
+                    const url = slot.type === "images" ? sizeImageUrl(slot.url, imageSize) : slot.url;
+                    const isNew = !keysByUrl.has(url) && !claimed.has(url);
+                    if (position >= maxPerProperty || (isNew && fetches >= maxPerRun)) {
+                        counts.skipped += 1;
+                        continue;
+                    }
+                    if (isNew) {
+                        fetches += 1;
+                        claimed.add(url);
+                    }
+                    planned.push({ output: outputs[recordIndex], slot, url });
+                }
+            });
+
+            await runWithConcurrency(planned, MEDIA_CONCURRENCY, async (download) => {
+                const { output, slot, url } = download;
+                const key = await fetchOnce(url);
+                if (!key) return;
+                if (slot.index == null) output[slot.field] = key;
+                else output[slot.field][slot.index] = key;
+                output.mediaStore = storeName;
+            });
+            return outputs;
+        },
+    };
+};
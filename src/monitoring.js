@@ -0,0 +1,180 @@
+import { createHash } from "node:crypto";
+
+import { Actor } from "apify";
+
+import { MONITORED_CONTENT_FIELDS } from "./constants.js";
+import { buildListingTimeline } from "./extractors.js";
+
+const snapshotKey = (label) => `snapshot-${String(label).replace(/[^a-zA-Z0-9!\-_.'()]/g, "-").slice(0, 200)}`;
+
+const computeContentHash = (record) => {
+    const content = MONITORED_CONTENT_FIELDS.map((field) => record[field] ?? null);
+    return createHash("sha1").update(JSON.stringify(content)).digest("hex");
+};
+
+const buildSnapshotEntry = (record, previousEntry = null, hash = computeContentHash(record)) => ({
+    url: record.url,
+    address: record.address,
+    price: record.price?.amount ?? null,
+    firstPrice: previousEntry?.firstPrice ?? previousEntry?.price ?? record.price?.amount ?? null,
+    displayPrice: record.price?.displayPrice ?? null,
+    status: record.status || "available",
+    hash,
+    lastSeenAt: record.scrapedAt,
+});
+
+// Earlier asking prices from the snapshot fill in what the listing page doesn't show:
+// the price before the latest reduction and the total reduction since we first saw the listing.
+const withKnownPrices = (record, firstPrice, previousPrice) => {
+    const timeline = buildListingTimeline(record, firstPrice);
+    const currentPrice = record.price?.amount;
+    if (previousPrice && currentPrice && previousPrice > currentPrice) {
+        const reduction = timeline.listingHistory?.find((entry) => entry.event === "reduced");
+        if (reduction) {
+            reduction.previousPrice = previousPrice;
+        } else {
+            // Reduced since our last run without Rightmove labelling it; the exact date is unknown
+            timeline.listingHistory = [
+                ...(timeline.listingHistory || []),
+                { event: "reduced", date: null, price: currentPrice, previousPrice },
+            ];
+            timeline.isReduced = true;
+        }
+    }
+    return { ...record, ...timeline };
+};
+
+// Compares a listing with its previous snapshot entry. Returns null for unchanged listings,
+// otherwise the change tags (most significant first) and the previous values of changed fields.
+const classifyChange = (entry, previousEntry) => {
+    if (!previousEntry) return { changeType: "new", changes: ["new"], previous: null };
+
+    const changes = [];
+    const previous = {};
+    if (entry.price !== previousEntry.price) {
+        changes.push("priceChanged");
+        previous.price = previousEntry.price;
+        previous.displayPrice = previousEntry.displayPrice;
+    }
+    if (entry.status !== previousEntry.status) {
+        changes.push("statusChanged");
+        previous.status = previousEntry.status;
+    }
+    if (entry.hash !== previousEntry.hash) {
+        changes.push("updated");
+        previous.hash = previousEntry.hash;
+    }
+    if (changes.length === 0) return null;
+    return { changeType: changes[0], changes, previous };
+};
+
+// Per-search snapshots of the listings seen on the previous run, kept in a named key-value store
+export const createMonitor = async (storeName, labels) => {
+    const store = await Actor.openKeyValueStore(storeName);
+    const snapshots = new Map();
+    for (const label of labels) {
+        const snapshot = await store.getValue(snapshotKey(label));
+        snapshots.set(label, snapshot?.properties || {});
+    }
+    const seen = new Map(labels.map((label) => [label, new Map()]));
+    const counts = { new: 0, priceChanged: 0, statusChanged: 0, updated: 0, unchanged: 0, removed: 0 };
+    // Content hashes taken by prepare() before media downloads swapped remote URLs for store keys
+    const contentHashes = new Map();
+
+    const findPreviousEntry = (propertyId, searchLabels) => {
+        let previousEntry = null;
+        for (const label of searchLabels) previousEntry = previousEntry || snapshots.get(label)?.[propertyId] || null;
+        return previousEntry;
+    };
+
+    // A listing found gone on its own page is reported like one missing from a complete search, once;
+    // its snapshot entry keeps the last known price
+    const checkRemoved = (record, previousEntry) => {
+        const entry = { ...(previousEntry || buildSnapshotEntry(record)), status: "removed", lastSeenAt: record.scrapedAt };
+        for (const label of record.searchLabels) seen.get(label)?.set(record.propertyId, entry);
+        if (previousEntry?.status === "removed") {
+            counts.unchanged += 1;
+            return null;
+        }
+        counts.removed += 1;
+        const previous = previousEntry
+            ? { price: previousEntry.price, displayPrice: previousEntry.displayPrice, status: previousEntry.status }
+            : null;
+        return { ...record, changeType: "removed", changes: ["removed"], previous };
+    };
+
+    return {
+        counts,
+
+        // What this run has seen so far, for resuming it after a migration
+        getState: () => ({ seen, contentHashes, counts: { ...counts } }),
+        restoreState(state) {
+            for (const [label, entries] of state.seen) seen.set(label, entries);
+            for (const [propertyId, hash] of state.contentHashes || []) contentHashes.set(propertyId, hash);
+            Object.assign(counts, state.counts);
+        },
+
+        // Hashes a listing's content while its media URLs are still remote, and says whether check() is
+        // likely to emit it, so media is only downloaded for listings that will be written. `searchLabels`
+        // are the searches that have found it so far.
+        prepare(record, searchLabels) {
+            const hash = computeContentHash(record);
+            contentHashes.set(record.propertyId, hash);
+            const previousEntry = findPreviousEntry(record.propertyId, searchLabels);
+            return classifyChange(buildSnapshotEntry(record, previousEntry, hash), previousEntry) != null;
+        },
+
+        // Returns the record tagged with its change, or null when it hasn't changed since the last run
+        check(record) {
+            const previousEntry = findPreviousEntry(record.propertyId, record.searchLabels);
+            if (record.status === "removed") return checkRemoved(record, previousEntry);
+            const hash = contentHashes.get(record.propertyId) ?? computeContentHash(record);
+            contentHashes.delete(record.propertyId);
+            const entry = buildSnapshotEntry(record, previousEntry, hash);
+            for (const label of record.searchLabels) seen.get(label)?.set(record.propertyId, entry);
+
+            const change = classifyChange(entry, previousEntry);
+            if (!change) {
+                counts.unchanged += 1;
+                return null;
+            }
+            counts[change.changeType] += 1;
+            return { ...withKnownPrices(record, entry.firstPrice, previousEntry?.price), ...change };
+        },
+
+        // Listings from the last snapshot that a fully crawled search no longer returns
+        collectRemoved(completeLabels) {
+            const removed = new Map();
+            for (const label of completeLabels) {
+                for (const [propertyId, entry] of Object.entries(snapshots.get(label) || {})) {
+                    if (seen.get(label).has(propertyId)) continue;
+                    if (!removed.has(propertyId)) {
+                        removed.set(propertyId, {
+                            propertyId,
+                            url: entry.url,
+                            address: entry.address,
+                            status: "removed",
+                            changeType: "removed",
+                            changes: ["removed"],
+                            previous: { price: entry.price, displayPrice: entry.displayPrice, status: entry.status },
+                            searchLabels: [],
+                            scrapedAt: new Date().toISOString(),
+                        });
+                    }
+                    removed.get(propertyId).searchLabels.push(label);
+                }
+            }
+            counts.removed += removed.size;
+            return [...removed.values()];
+        },
+
+        // Searches that stopped early keep unseen listings, since we can't tell whether they were removed
+        async save(completeLabels) {
+            for (const [label, entries] of seen) {
+                const properties = completeLabels.includes(label) ? {} : { ...snapshots.get(label) };
+                for (const [propertyId, entry] of entries) properties[propertyId] = entry;
+                await store.setValue(snapshotKey(label), { label, updatedAt: new Date().toISOString(), properties });
+            }
+        },
+    };
+};
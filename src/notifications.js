@@ -0,0 +1,125 @@
+import { createHmac } from "node:crypto";
+
+import { log } from "apify";
+import { gotScraping } from "got-scraping";
+
+import {
+    TIMEOUT_SECONDS,
+    WEBHOOK_ATTEMPTS,
+    WEBHOOK_BACKOFF_MS,
+    WEBHOOK_FORMATS,
+    WEBHOOK_SIGNATURE_HEADER,
+} from "./constants.js";
+import { sleep } from "./utils.js";
+
+// Webhooks come as URL strings or { url, format } objects; format defaults to generic JSON
+export const parseWebhooks = (webhooks = []) =>
+    webhooks.map((webhook, index) => {
+        const { url, format = "json" } = typeof webhook === "string" ? { url: webhook } : webhook || {};
+        if (!/^https?:\/\//i.test(url || "")) throw new Error(`Webhook ${index + 1} needs an http(s) URL (got "${url}")`);
+        if (!WEBHOOK_FORMATS.includes(format)) {
+            throw new Error(`Invalid webhook format "${format}" - expected one of: ${WEBHOOK_FORMATS.join(", ")}`);
+        }
+        return { url, format };
+    });
+
+// Listings worth an alert: everything scraped this run, or only new listings when monitoring. Records
+// with a recordType (agent branches, sold properties) aren't listings.
+export const isNotifiable = (record) =>
+    !record.recordType && record.status !== "removed" && (record.changeType == null || record.changeType === "new");
+
+// Slack treats &, < and > as markup in message text
+const escapeSlack = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const describeListing = (record) => {
+    const facts = [
+        record.price?.displayPrice,
+        record.bedrooms != null ? `${record.bedrooms} bed` : null,
+        record.propertyType,
+    ].filter(Boolean);
+    const address = escapeSlack(record.address || `Property ${record.propertyId}`);
+    return `• <${record.url}|${address}>${facts.length ? ` - ${escapeSlack(facts.join(" · "))}` : ""}`;
+};
+
+export const buildPayload = (format, records, context) => {
+    if (format === "slack") {
+        const heading = `${records.length} new Rightmove listing${records.length === 1 ? "" : "s"}`;
+        return { text: [`*${heading}*`, ...records.map(describeListing)].join("\n") };
+    }
+    return { event: "listings.new", runId: context.runId, sentAt: new Date().toISOString(), count: records.length, properties: records };
+};
+
+// HMAC-SHA256 of the exact request body, hex encoded as sha256=<digest>
+export const signPayload = (body, secret) => `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+
+// POSTs batches of newly scraped listings to each webhook. Deliveries run in the background in order;
+// failures are retried with exponential backoff and never fail the run. Each POST counts towards
+// maxMessages, and batches over the cap are counted as skipped.
+export const createNotifier = ({ webhooks, secret, maxMessages, runId }) => {
+    const counts = { sent: 0, failed: 0, skipped: 0, properties: 0 };
+    let messages = 0;
+    let queue = Promise.resolve();
+
+    const deliver = async (webhook, records) => {
+        const body = JSON.stringify(buildPayload(webhook.format, records, { runId }));
+        const headers = { "Content-Type": "application/json" };
+        if (secret) headers[WEBHOOK_SIGNATURE_HEADER] = signPayload(body, secret);
+
+        for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+            let problem;
+            try {
+                const response = await gotScraping({
+                    url: webhook.url,
+                    method: "POST",
+                    body,
+                    headers,
+                    useHeaderGenerator: false,
+                    throwHttpErrors: false,
+                    retry: { limit: 0 },
+                    timeout: { request: TIMEOUT_SECONDS * 1000 },
+                });
+                if (response.statusCode < 300) {
+                    counts.sent += 1;
+                    return;
+                }
+                problem = `HTTP ${response.statusCode}`;
+                // Other client errors won't succeed on a retry
+                if (response.statusCode < 500 && response.statusCode !== 429) break;
+            } catch (error) {
+                problem = error.message;
+            }
+            log.warning(`  ⚠ Webhook ${webhook.url} failed (attempt ${attempt}/${WEBHOOK_ATTEMPTS}): ${problem}`);
+            if (attempt < WEBHOOK_ATTEMPTS) await sleep(WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1));
+        }
+        counts.failed += 1;
+    };
+
+    return {
+        counts,
+
+        notify(records) {
+            const listings = records.filter(isNotifiable);
+            if (listings.length === 0) return;
+            let queued = false;
+            for (const webhook of webhooks) {
+                if (messages >= maxMessages) {
+                    counts.skipped += 1;
+                    continue;
+                }
+                messages += 1;
+                queued = true;
+                queue = queue.then(() => deliver(webhook, listings));
+            }
+            if (queued) counts.properties += listings.length;
+        },
+
+        // Waits for every queued delivery to finish
+        drain: () => queue,
+
+        getState: () => ({ counts: { ...counts }, messages }),
+        restoreState(state) {
+            Object.assign(counts, state.counts);
+            ({ messages } = state);
+        },
+    };
+};
@@ -0,0 +1,105 @@
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+
+import { Actor, log } from "apify";
+import { load as cheerioLoad } from "cheerio";
+
+import { BASE_URL } from "./constants.js";
+import { buildCardRecord, buildDetailRecord, parseSearchPage } from "./extractors.js";
+import { extractAssignedJson, extractPropertyId } from "./utils.js";
+
+const SAVED_PAGE_PATTERN = /\.html?$/i;
+
+const canonicalUrl = ($) => $('link[rel="canonical"]').attr("href") || $('meta[property="og:url"]').attr("content") || "";
+
+// Saved pages sorted by name, from a local directory and/or a key-value store. The name (file name or
+// key without its extension) becomes the search label of any search page.
+export const loadOfflinePages = async ({ directory, storeName }) => {
+    const pages = [];
+    if (directory) {
+        const files = (await readdir(directory)).filter((file) => SAVED_PAGE_PATTERN.test(file)).sort();
+        for (const file of files) {
+            pages.push({ name: file.replace(SAVED_PAGE_PATTERN, ""), html: await readFile(path.join(directory, file), "utf8") });
+        }
+    }
+    if (storeName) {
+        const store = await Actor.openKeyValueStore(storeName);
+        const keys = [];
+        await store.forEachKey(async (key) => {
+            keys.push(key);
+        });
+        for (const key of keys.sort()) {
+            const value = await store.getValue(key);
+            const html = Buffer.isBuffer(value) ? value.toString("utf8") : value;
+            if (typeof html === "string" && /<(?:html|body|script)\b/i.test(html)) {
+                pages.push({ name: key.replace(SAVED_PAGE_PATTERN, ""), html });
+            }
+        }
+    }
+    return pages;
+};
+
+// Detail pages carry window.PAGE_MODEL or a /properties/<id> canonical URL, sold price pages
+// window.__PRELOADED_STATE__ or a /house-prices/ URL; anything else is read as search results
+export const classifyPage = ($, html) => {
+    if (extractAssignedJson(html, "window.PAGE_MODEL")?.propertyData) return "detail";
+    const url = canonicalUrl($);
+    if (/\/house-prices\//.test(url) || html.includes("window.__PRELOADED_STATE__")) return "soldPrices";
+    if (/\/properties\/\d+/.test(url)) return "detail";
+    return "search";
+};
+
+const detailPropertyId = ($, html, name) =>
+    extractAssignedJson(html, "window.PAGE_MODEL")?.propertyData?.id?.toString() ||
+    extractPropertyId(canonicalUrl($)) ||
+    name.match(/\d{6,}/)?.[0] ||
+    null;
+
+// Turns saved pages into the records a live run would write. A detail page is layered over the search
+// result that listed it, as when collectDetails is on; search results without a saved detail page are
+// written as card records, and detail pages no saved search listed are written on their own.
+export const parseOfflinePages = (pages, { scrapedAt = new Date().toISOString() } = {}) => {
+    const cards = new Map();
+    const details = new Map();
+
+    for (const page of pages) {
+        const $ = cheerioLoad(page.html);
+        const pageType = classifyPage($, page.html);
+
+        if (pageType === "detail") {
+            const propertyId = detailPropertyId($, page.html, page.name);
+            if (!propertyId) {
+                log.warning(`  ⚠ Skipping ${page.name}: no property ID found on the detail page`);
+                continue;
+            }
+            details.set(propertyId, { $, html: page.html });
+            continue;
+        }
+
+        const result = parseSearchPage($, page.html, pageType === "soldPrices" ? "soldPrices" : "listings");
+        log.info(`  [${page.name}] ${result.properties.length} properties (${result.extractionMethod})`);
+        for (const property of result.properties) {
+            const card = cards.get(property.propertyId);
+            if (!card) {
+                cards.set(property.propertyId, { property, extractionMethod: result.extractionMethod, searchLabels: [page.name] });
+            } else if (!card.searchLabels.includes(page.name)) {
+                card.searchLabels.push(page.name);
+            }
+        }
+    }
+
+    const records = [];
+    for (const [propertyId, card] of cards) {
+        const detail = details.get(propertyId);
+        details.delete(propertyId);
+        const record = detail
+            ? buildDetailRecord(detail.$, detail.html, card.property, scrapedAt)
+            : buildCardRecord(card.property, card.extractionMethod, scrapedAt);
+        records.push({ ...record, searchLabels: card.searchLabels });
+    }
+    for (const [propertyId, detail] of details) {
+        const basicInfo = { propertyId, url: `${BASE_URL}/properties/${propertyId}` };
+        records.push({ ...buildDetailRecord(detail.$, detail.html, basicInfo, scrapedAt), searchLabels: [] });
+    }
+    return records;
+};
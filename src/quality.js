@@ -0,0 +1,87 @@
+import { Actor } from "apify";
+
+import { DETAIL_EXTRACTION_METHODS, QUALITY_FIELDS, QUALITY_MIN_SAMPLE } from "./constants.js";
+
+const BASELINE_KEY = "baseline";
+
+const isFilled = (field, value) => {
+    if (value == null || value === "" || value === "N/A") return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (field === "price") return value.amount != null || Boolean(value.priceOnApplication);
+    return true;
+};
+
+// Card records carry just the main photo as `image`; it counts towards `images`
+const fieldValue = (record, field) => (field === "images" && !record.images?.length ? record.image : record[field]);
+
+const roundRate = (rate) => Math.round(rate * 1000) / 1000;
+
+// Counts how often each QUALITY_FIELDS field is filled on the listing records a run writes, along with
+// the extraction method behind each record and addresses that fell back to "N/A"
+export const createQualityTracker = () => {
+    let records = 0;
+    let detailRecords = 0;
+    let addressFallbacks = 0;
+    const filled = Object.fromEntries(QUALITY_FIELDS.map(({ field }) => [field, 0]));
+    const extractionMethods = {};
+
+    return {
+        // Sold prices and branch records have fields of their own, and removed listings have none, so
+        // only live listings are measured
+        add(record) {
+            if (record.recordType || record.status === "removed") return;
+            const fromDetailPage = DETAIL_EXTRACTION_METHODS.includes(record.extractionMethod);
+            records += 1;
+            if (fromDetailPage) detailRecords += 1;
+            if (record.address === "N/A") addressFallbacks += 1;
+            const method = record.extractionMethod || "unknown";
+            extractionMethods[method] = (extractionMethods[method] || 0) + 1;
+            for (const { field, detailOnly } of QUALITY_FIELDS) {
+                if ((!detailOnly || fromDetailPage) && isFilled(field, fieldValue(record, field))) filled[field] += 1;
+            }
+        },
+
+        // Fill rates with an alert for each field under its threshold (QUALITY_FIELDS, overridden by
+        // `thresholds`) or more than `tolerance` under the baseline run's rate
+        buildReport({ thresholds = {}, baseline = null, tolerance = 0.2 } = {}) {
+            const fields = {};
+            const alerts = [];
+            for (const { field, minRate, detailOnly } of QUALITY_FIELDS) {
+                const measured = detailOnly ? detailRecords : records;
+                const rate = measured ? roundRate(filled[field] / measured) : null;
+                const threshold = thresholds[field] ?? minRate;
+                const baselineRate = baseline?.fields?.[field]?.rate ?? null;
+                fields[field] = { filled: filled[field], measured, rate, threshold, baselineRate };
+
+                if (rate == null || measured < QUALITY_MIN_SAMPLE) continue;
+                if (rate < threshold) {
+                    alerts.push({ field, reason: "belowThreshold", rate, threshold });
+                } else if (baselineRate != null && rate < baselineRate - tolerance) {
+                    alerts.push({ field, reason: "belowBaseline", rate, baselineRate });
+                }
+            }
+            return {
+                generatedAt: new Date().toISOString(),
+                records,
+                detailRecords,
+                addressFallbacks,
+                extractionMethods: { ...extractionMethods },
+                fields,
+                alerts,
+            };
+        },
+
+        getState: () => ({ records, detailRecords, addressFallbacks, filled: { ...filled }, extractionMethods: { ...extractionMethods } }),
+        restoreState(state) {
+            ({ records, detailRecords, addressFallbacks } = state);
+            Object.assign(filled, state.filled);
+            Object.assign(extractionMethods, state.extractionMethods);
+        },
+    };
+};
+
+// The last clean run's report, kept in a named store so the next run can compare against it
+export const loadQualityBaseline = async (storeName) => (await Actor.openKeyValueStore(storeName)).getValue(BASELINE_KEY);
+
+export const saveQualityBaseline = async (storeName, report) =>
+    (await Actor.openKeyValueStore(storeName)).setValue(BASELINE_KEY, report);
@@ -0,0 +1,168 @@
+import { MAX_BEDROOMS, MODES, PRICE_BAND_STEPS, PROPERTY_LIST_LABEL, SEARCH_URLS } from "./constants.js";
+import { resolveLocationIdentifier } from "./locations.js";
+import {
+    buildSearchUrl,
+    buildSoldPricesUrl,
+    ensureAbsoluteUrl,
+    extractPropertyId,
+    isBranchUrl,
+    isSoldPricesUrl,
+    parseBranchId,
+    toList,
+} from "./utils.js";
+
+// Search definitions fall back to these top-level input fields when they don't set their own
+const SEARCH_INHERITED_FIELDS = [
+    "mode",
+    "channel",
+    "radius",
+    "minPrice",
+    "maxPrice",
+    "minBedrooms",
+    "maxBedrooms",
+    "propertyTypes",
+    "mustHave",
+    "dontShow",
+    "keywords",
+    "maxDaysSinceAdded",
+    "includeSSTC",
+    "sortBy",
+    "maxResults",
+    "maxPages",
+];
+
+const makeUniqueLabel = (label, usedLabels) => {
+    let unique = label;
+    for (let suffix = 2; usedLabels.has(unique); suffix++) unique = `${label}-${suffix}`;
+    usedLabels.add(unique);
+    return unique;
+};
+
+// Property IDs from a list of IDs and /properties/<id> URLs, in input order without repeats
+export const parsePropertyIds = (values) => {
+    const propertyIds = [];
+    for (const value of toList(values)) {
+        const propertyId = /^\d+$/.test(value) ? value : extractPropertyId(value);
+        if (!propertyId) throw new Error(`Invalid property "${value}" - expected a property ID or a /properties/<id> URL`);
+        if (!propertyIds.includes(propertyId)) propertyIds.push(propertyId);
+    }
+    return propertyIds;
+};
+
+// Turns `startUrl`, `startUrls`, `searches` and `agentBranches` (or the top-level search fields when none
+// are given and no `properties` are listed) into a list of { label, url, mode, maxResults, maxPages } plans, resolving free-text locations
+// on the way. Each agent branch becomes a sale and a let search over the branch's stock.
+export const buildSearchPlans = async (input, proxyConfig) => {
+    const defaults = Object.fromEntries(SEARCH_INHERITED_FIELDS.map((field) => [field, input[field]]));
+    const definitions = [];
+
+    if (input.startUrl) definitions.push({ startUrl: input.startUrl });
+    for (const source of input.startUrls || []) {
+        const startUrl = typeof source === "string" ? source : source?.url;
+        if (startUrl) definitions.push({ startUrl, label: source?.label || source?.userData?.label });
+    }
+    for (const search of input.searches || []) {
+        if (search && typeof search === "object") definitions.push(search);
+    }
+    for (const branch of input.agentBranches || []) {
+        if (branch) definitions.push({ mode: "agentBranch", branch });
+    }
+    // A list of properties is enough on its own; without one, the top-level search fields make a search
+    const hasPropertyList = toList(input.properties).length > 0;
+    if (definitions.length === 0 && !hasPropertyList) {
+        definitions.push({ searchLocation: input.searchLocation, locationIdentifier: input.locationIdentifier });
+    }
+
+    const usedLabels = new Set(hasPropertyList ? [PROPERTY_LIST_LABEL] : []);
+    const plans = [];
+    for (const [index, definition] of definitions.entries()) {
+        const search = { ...defaults, ...definition };
+        if (!SEARCH_URLS[search.channel || "buy"]) {
+            throw new Error(`Invalid channel "${search.channel}" in search ${index + 1}`);
+        }
+
+        let mode = search.mode || "listings";
+        if (search.startUrl && isSoldPricesUrl(search.startUrl)) mode = "soldPrices";
+        if (isBranchUrl(search.startUrl)) mode = "agentBranch";
+        if (!MODES.includes(mode)) {
+            throw new Error(`Invalid mode "${mode}" in search ${index + 1} - expected one of: ${MODES.join(", ")}`);
+        }
+
+        if (mode === "agentBranch") {
+            const branch = search.branch ?? search.startUrl;
+            const branchId = parseBranchId(branch);
+            if (!branchId) {
+                throw new Error(`Search ${index + 1} needs an agent branch URL or branch ID in "branch" (got "${branch}")`);
+            }
+            const label = makeUniqueLabel(String(search.label || `branch-${branchId}`), usedLabels);
+            for (const [channel, suffix] of [["buy", "sale"], ["rent", "let"]]) {
+                plans.push({
+                    label: makeUniqueLabel(`${label}-${suffix}`, usedLabels),
+                    url: buildSearchUrl({ ...search, startUrl: null, channel, locationIdentifier: `BRANCH^${branchId}` }),
+                    mode,
+                    channel,
+                    branchId,
+                    branchUrl: isBranchUrl(branch) ? ensureAbsoluteUrl(branch) : null,
+                    maxResults: search.maxResults ?? 100,
+                    maxPages: search.maxPages ?? 5,
+                });
+            }
+            continue;
+        }
+
+        let url = search.startUrl;
+        if (!url) {
+            const locationIdentifier =
+                search.locationIdentifier || (await resolveLocationIdentifier(search.searchLocation, proxyConfig));
+            url =
+                mode === "soldPrices"
+                    ? buildSoldPricesUrl({ ...search, locationIdentifier })
+                    : buildSearchUrl({ ...search, locationIdentifier });
+        }
+
+        const fallbackLabel =
+            search.searchLocation || search.locationIdentifier || new URL(url).searchParams.get("searchLocation");
+        plans.push({
+            label: makeUniqueLabel(String(search.label || fallbackLabel || `search-${index + 1}`), usedLabels),
+            url,
+            mode,
+            maxResults: search.maxResults ?? 100,
+            maxPages: search.maxPages ?? 5,
+        });
+    }
+    return plans;
+};
+
+const withParams = (url, params) => {
+    const urlObj = new URL(url);
+    for (const [key, value] of Object.entries(params)) urlObj.searchParams.set(key, value);
+    urlObj.searchParams.delete("index");
+    return urlObj.toString();
+};
+
+// Splits a search URL into two non-overlapping bands: by price on Rightmove's dropdown steps while a step
+// falls inside the band, then by bedroom count. Returns null once the search can't be narrowed any further.
+export const splitSearchUrl = (url) => {
+    const urlObj = new URL(url);
+    const intParam = (name, fallback) => {
+        const value = parseInt(urlObj.searchParams.get(name), 10);
+        return Number.isFinite(value) ? value : fallback;
+    };
+
+    const steps = urlObj.pathname.includes("/property-to-rent/") ? PRICE_BAND_STEPS.rent : PRICE_BAND_STEPS.buy;
+    const minPrice = intParam("minPrice", 0);
+    const maxPrice = intParam("maxPrice", Infinity);
+    const priceSteps = steps.filter((step) => step > minPrice && step < maxPrice);
+    if (priceSteps.length > 0) {
+        const step = priceSteps[Math.floor(priceSteps.length / 2)];
+        return [withParams(url, { maxPrice: step }), withParams(url, { minPrice: step + 1 })];
+    }
+
+    const minBedrooms = intParam("minBedrooms", 0);
+    const maxBedrooms = intParam("maxBedrooms", MAX_BEDROOMS);
+    if (minBedrooms < maxBedrooms) {
+        const middle = Math.floor((minBedrooms + maxBedrooms) / 2);
+        return [withParams(url, { maxBedrooms: middle }), withParams(url, { minBedrooms: middle + 1 })];
+    }
+    return null;
+};
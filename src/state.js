@@ -0,0 +1,46 @@
+import { Actor, log } from "apify";
+
+import { CRAWL_STATE_KEY } from "./constants.js";
+
+// JSON has no Maps or Sets, so they are tagged on the way out and rebuilt on the way back in
+const encodeValue = (key, value) => {
+    if (value instanceof Map) return { $map: [...value] };
+    if (value instanceof Set) return { $set: [...value] };
+    return value;
+};
+
+const decodeValue = (key, value) => {
+    if (value?.$map) return new Map(value.$map);
+    if (value?.$set) return new Set(value.$set);
+    return value;
+};
+
+export const encodeState = (state) => JSON.parse(JSON.stringify(state, encodeValue));
+
+export const decodeState = (state) => (state ? JSON.parse(JSON.stringify(state), decodeValue) : null);
+
+// The state a previous attempt of this run saved, or null on a fresh start
+export const loadCrawlState = async () => decodeState(await Actor.getValue(CRAWL_STATE_KEY));
+
+// Saves getState() whenever the platform asks for state to be persisted (every minute, and when the run
+// migrates or is aborted), plus on demand through persist(). clear() drops it once the run has finished.
+export const createStatePersister = (getState) => {
+    let saving = Promise.resolve();
+    const persist = async () => {
+        saving = saving.catch(() => {}).then(() => Actor.setValue(CRAWL_STATE_KEY, encodeState(getState())));
+        await saving;
+    };
+    const onEvent = () =>
+        persist().catch((error) => log.warning(`  ⚠ Could not save crawl state: ${error.message}`));
+
+    for (const event of ["persistState", "migrating", "aborting"]) Actor.on(event, onEvent);
+
+    return {
+        persist,
+        async clear() {
+            for (const event of ["persistState", "migrating", "aborting"]) Actor.off(event, onEvent);
+            await saving;
+            await Actor.setValue(CRAWL_STATE_KEY, null);
+        },
+    };
+};
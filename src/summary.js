@@ -0,0 +1,106 @@
+import { OFFER_STATUSES } from "./constants.js";
+
+const roundShare = (value) => Math.round(value * 1000) / 1000;
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return Math.round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Rents are compared per month, and shared ownership homes at their full market value
+const askingPrice = (price) => {
+    if (!price) return null;
+    if (price.frequency) return price.monthlyAmount ?? null;
+    return price.sharedOwnership?.fullMarketValue ?? price.amount ?? null;
+};
+
+const summarise = (markets) => {
+    const prices = markets.flatMap((market) => market.prices);
+    const pricesPerSqFt = markets.flatMap((market) => market.pricesPerSqFt);
+    const listings = markets.reduce((sum, market) => sum + market.listings, 0);
+    const reduced = markets.reduce((sum, market) => sum + market.reduced, 0);
+    const underOffer = markets.reduce((sum, market) => sum + market.underOffer, 0);
+    return {
+        listings,
+        pricedListings: prices.length,
+        medianPrice: median(prices),
+        meanPrice: prices.length ? Math.round(prices.reduce((sum, price) => sum + price, 0) / prices.length) : null,
+        minPrice: prices.length ? prices.reduce((min, price) => Math.min(min, price)) : null,
+        maxPrice: prices.length ? prices.reduce((max, price) => Math.max(max, price)) : null,
+        sizedListings: pricesPerSqFt.length,
+        medianPricePerSqFt: median(pricesPerSqFt),
+        reducedShare: listings ? roundShare(reduced / listings) : null,
+        underOfferShare: listings ? roundShare(underOffer / listings) : null,
+    };
+};
+
+const compareMarkets = (a, b) =>
+    String(a.district).localeCompare(String(b.district)) ||
+    a.channel.localeCompare(b.channel) ||
+    String(a.propertyType).localeCompare(String(b.propertyType)) ||
+    (a.bedrooms ?? -1) - (b.bedrooms ?? -1);
+
+// Collects asking prices of the listing records a run writes, grouped by postcode district, sale or
+// rent, property type and bedroom count. Card records carry everything but floor areas, so the
+// summary works without detail pages; price per sq ft covers the listings whose size is known.
+export const createMarketSummary = () => {
+    const markets = new Map();
+
+    return {
+        add(record) {
+            if (record.recordType || record.status === "removed") return;
+            const market = {
+                district: record.addressParts?.outcode || null,
+                channel: record.price?.frequency ? "rent" : "sale",
+                propertyType: record.propertyType || null,
+                bedrooms: record.bedrooms ?? null,
+            };
+            const key = JSON.stringify(Object.values(market));
+            if (!markets.has(key)) markets.set(key, { ...market, listings: 0, prices: [], pricesPerSqFt: [], reduced: 0, underOffer: 0 });
+            const entry = markets.get(key);
+
+            entry.listings += 1;
+            const price = askingPrice(record.price);
+            if (price) entry.prices.push(price);
+            if (record.pricePerSqFt) entry.pricesPerSqFt.push(record.pricePerSqFt);
+            if (record.isReduced) entry.reduced += 1;
+            if (OFFER_STATUSES.includes(record.status)) entry.underOffer += 1;
+        },
+
+        // One row per market, plus a row per district and channel across all its property types
+        build() {
+            const entries = [...markets.values()].sort(compareMarkets);
+            const districts = new Map();
+            for (const entry of entries) {
+                const key = JSON.stringify([entry.district, entry.channel]);
+                if (!districts.has(key)) districts.set(key, []);
+                districts.get(key).push(entry);
+            }
+            return {
+                generatedAt: new Date().toISOString(),
+                overall: summarise(entries),
+                districts: [...districts.values()].map((group) => ({
+                    district: group[0].district,
+                    channel: group[0].channel,
+                    ...summarise(group),
+                })),
+                markets: entries.map(({ district, channel, propertyType, bedrooms, ...market }) => ({
+                    district,
+                    channel,
+                    propertyType,
+                    bedrooms,
+                    ...summarise([market]),
+                })),
+            };
+        },
+
+        getState: () => [...markets.values()],
+        restoreState(state) {
+            for (const entry of state) {
+                markets.set(JSON.stringify([entry.district, entry.channel, entry.propertyType, entry.bedrooms]), entry);
+            }
+        },
+    };
+};
@@ -0,0 +1,403 @@
+import { log } from "apify";
+import { load as cheerioLoad } from "cheerio";
+
+import {
+    ADDED_TO_SITE_OPTIONS,
+    BASE_URL,
+    BRANCH_URL_PATTERN,
+    DEFAULT_SEARCH_URL,
+    DONT_SHOW_OPTIONS,
+    MAX_BEDROOMS,
+    MUST_HAVE_OPTIONS,
+    PROPERTY_TYPES,
+    RADIUS_OPTIONS,
+    RENT_FREQUENCY_TO_MONTHLY,
+    REQUEST_DELAY_MS,
+    REQUEST_JITTER,
+    SEARCH_URLS,
+    SOLD_PRICES_URL,
+    SORT_TYPES,
+    UK_REGIONS,
+    USER_AGENTS,
+} from "./constants.js";
+
+export const getRandomUserAgent = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+
+export const getRandomDelay = () => REQUEST_DELAY_MS + Math.random() * REQUEST_JITTER;
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs `task` on each item, at most `concurrency` at a time
+export const runWithConcurrency = async (items, concurrency, task) => {
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const item = items[next];
+            next += 1;
+            await task(item);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+};
+
+export const cleanText = (text) => {
+    if (!text) return null;
+    const cleaned = text.replace(/\s+/g, " ").trim();
+    return cleaned.length > 0 ? cleaned : null;
+};
+
+export const cleanDescription = (text) => {
+    if (!text) return null;
+
+    // Remove excessive whitespace but preserve paragraph structure
+    let cleaned = text
+        .replace(/\r\n/g, '\n')           // Normalize line breaks
+        .replace(/\n{3,}/g, '\n\n')       // Max 2 consecutive newlines (paragraph break)
+        .replace(/[ \t]+/g, ' ')          // Replace multiple spaces/tabs with single space
+        .replace(/\n /g, '\n')            // Remove spaces at start of lines
+        .replace(/ \n/g, '\n')            // Remove spaces at end of lines
+        .trim();
+
+    // Remove "Description" heading if it appears at the start
+    if (cleaned.match(/^Description[:\s]*/i)) {
+        cleaned = cleaned.replace(/^Description[:\s]*/i, '').trim();
+    }
+
+    return cleaned.length > 0 ? cleaned : null;
+};
+
+export const ensureAbsoluteUrl = (url) => {
+    if (!url) return null;
+    if (url.startsWith("http")) return url;
+    if (url.startsWith("//")) return `https:${url}`;
+    return `${BASE_URL}${url.startsWith("/") ? "" : "/"}${url}`;
+};
+
+export const extractPropertyId = (url) => {
+    if (!url) return null;
+    const match = url.match(/\/properties\/(\d+)|propertyId[=:](\d+)|#properties[=/](\d+)/i);
+    return match ? match[1] || match[2] || match[3] : null;
+};
+
+// Detects how often a rent is quoted ("£1,500 pcm", "£350 pw", "£18,000 pa").
+// `frequencyHint` is the frequency field Rightmove sends alongside structured prices.
+const parseRentFrequency = (priceText, frequencyHint = null) => {
+    const hint = String(frequencyHint || "").toLowerCase();
+    if (RENT_FREQUENCY_TO_MONTHLY[hint]) return hint;
+
+    const lower = String(priceText || "").toLowerCase();
+    if (/\bpcm\b|per calendar month|per month|a month|\bmonthly\b/.test(lower)) return "monthly";
+    if (/\bp{1,2}pw\b|\bpw\b|per week|a week|\bweekly\b/.test(lower)) return "weekly";
+    if (/\bpq\b|per quarter|\bquarterly\b/.test(lower)) return "quarterly";
+    if (/\bpa\b|per annum|per year|a year|\bannually\b/.test(lower)) return "yearly";
+    return null;
+};
+
+// Qualifiers in match order: "auction guide" must win over "guide price"
+const PRICE_QUALIFIERS = [
+    ["poa", /\bpoa\b|price on application/],
+    ["auctionGuide", /auction guide/],
+    ["guidePrice", /guide price/],
+    ["offersInExcessOf", /offers in excess of|\boieo\b/],
+    ["offersInRegionOf", /offers in the region of|offers in region of|\boiro\b/],
+    ["offersOver", /offers over/],
+    ["fixedPrice", /fixed price/],
+    ["from", /^\s*from\b|\bfrom\s*£|starting (?:from|at)/],
+];
+
+// "£1.2m", "£350k", "£450,000" - the suffix must follow the number, so "pcm" or "park" never scale it
+const PRICE_AMOUNT_PATTERN = /£?\s*(\d[\d,]*(?:\.\d+)?)(?:\s*(million|m|k)(?![a-z]))?/gi;
+
+const PRICE_MULTIPLIERS = { million: 1_000_000, m: 1_000_000, k: 1000 };
+
+// Turns Rightmove's display price into { amount, qualifier, minAmount, maxAmount, priceOnApplication,
+// sharedOwnership } plus rent frequency. `hints` carries the structured fields Rightmove sends alongside
+// the text: { frequency, qualifier, sharePercent }.
+export const parsePrice = (priceText, hints = {}) => {
+    if (!priceText) return null;
+    const text = String(priceText);
+    const lower = `${hints.qualifier || ""} ${text}`.toLowerCase();
+
+    const qualifier = PRICE_QUALIFIERS.find(([, pattern]) => pattern.test(lower))?.[0] || null;
+
+    // Percentages are the shared ownership share, never an amount
+    const withoutPercentages = text.replace(/\d+(?:\.\d+)?\s*%/g, " ");
+    const pounds = withoutPercentages.includes("£");
+    const amounts = [...withoutPercentages.matchAll(PRICE_AMOUNT_PATTERN)]
+        .filter((match) => !pounds || match[0].includes("£"))
+        .map((match) => parseFloat(match[1].replace(/,/g, "")) * (PRICE_MULTIPLIERS[match[2]?.toLowerCase()] || 1))
+        .filter((amount) => Number.isFinite(amount) && amount > 0);
+
+    let sharedOwnership = null;
+    const shareMatch = lower.match(/(\d+(?:\.\d+)?)\s*%\s*(?:share|shared ownership)|shared ownership\D{0,20}(\d+(?:\.\d+)?)\s*%/);
+    const sharePercent = Number(hints.sharePercent) || (shareMatch ? parseFloat(shareMatch[1] || shareMatch[2]) : null);
+    if (sharePercent || /shared ownership/.test(lower)) {
+        // "£87,500 for a 25% share of £350,000" names the full market value; otherwise derive it
+        let fullMarketValue = amounts.length > 1 ? Math.max(...amounts) : null;
+        if (!fullMarketValue && sharePercent && amounts[0]) fullMarketValue = Math.round((amounts[0] * 100) / sharePercent);
+        sharedOwnership = { sharePercent: sharePercent || null, fullMarketValue };
+    }
+
+    const isRange = !sharedOwnership && amounts.length > 1 && /\d\s*(?:million|m|k)?\s*(?:-|–|to)\s*£?\s*\d/i.test(text);
+
+    const result = {
+        amount: isRange ? Math.min(...amounts) : amounts[0] ?? null,
+        currency: "GBP",
+        displayPrice: cleanText(text),
+        qualifier,
+        minAmount: isRange ? Math.min(...amounts) : null,
+        maxAmount: isRange ? Math.max(...amounts) : null,
+        priceOnApplication: qualifier === "poa",
+        sharedOwnership,
+    };
+    const frequency = parseRentFrequency(text, hints.frequency);
+    if (frequency && result.amount != null) {
+        result.frequency = frequency;
+        result.monthlyAmount = Math.round(result.amount * RENT_FREQUENCY_TO_MONTHLY[frequency]);
+    }
+    return result;
+};
+
+// Maps Rightmove's status labels ("Under offer", "Sold STC", "LET_AGREED") onto our status values.
+// Returns null when there is no status text to go on.
+export const parseListingStatus = (text) => {
+    if (text == null) return null;
+    const lower = String(text).toLowerCase().replace(/_/g, " ");
+    if (/let agreed/.test(lower)) return "letAgreed";
+    if (/sold stc|sold subject to contract|\bsstc\b/.test(lower)) return "sstc";
+    if (/under offer/.test(lower)) return "underOffer";
+    return "available";
+};
+
+export const extractJsonLd = (html) => {
+    if (!html) return [];
+    const $ = cheerioLoad(html);
+    const scripts = $('script[type="application/ld+json"]');
+    const data = [];
+    scripts.each((_, el) => {
+        try {
+            const content = $(el).html();
+            if (!content) return;
+            const parsed = JSON.parse(content);
+            if (Array.isArray(parsed)) data.push(...parsed);
+            else data.push(parsed);
+        } catch (e) {
+            log.debug(`JSON-LD parse error: ${e.message}`);
+        }
+    });
+    return data;
+};
+
+// Finds `<name> = {...}` inside inline scripts and returns the parsed object literal.
+// Braces are matched by hand because the blob is followed by other statements on the same line.
+export const extractAssignedJson = (html, name) => {
+    if (!html) return null;
+    let searchFrom = 0;
+    while (searchFrom < html.length) {
+        const nameIndex = html.indexOf(name, searchFrom);
+        if (nameIndex === -1) return null;
+        searchFrom = nameIndex + name.length;
+
+        const assignment = html.slice(searchFrom).match(/^\s*=\s*/);
+        if (!assignment) continue;
+        const start = searchFrom + assignment[0].length;
+        if (html[start] !== "{") continue;
+
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        for (let i = start; i < html.length; i++) {
+            const char = html[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === "\\") escaped = true;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === "{") {
+                depth += 1;
+            } else if (char === "}") {
+                depth -= 1;
+                if (depth === 0) {
+                    try {
+                        return JSON.parse(html.slice(start, i + 1));
+                    } catch (e) {
+                        log.debug(`${name} parse error: ${e.message}`);
+                        break;
+                    }
+                }
+            }
+        }
+    }
+    return null;
+};
+
+export const htmlToText = (html) => {
+    if (!html) return null;
+    const $ = cheerioLoad(`<div>${html.replace(/<br\s*\/?>/gi, "\n").replace(/<\/p>/gi, "</p>\n\n")}</div>`);
+    return cleanDescription($("div").first().text());
+};
+
+export const toTitleCase = (text) => {
+    if (!text) return null;
+    return text
+        .toLowerCase()
+        .replace(/_/g, " ")
+        .replace(/\b\w/g, (char) => char.toUpperCase());
+};
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Rightmove writes dates as "dd/mm/yyyy" in listing labels and "yyyymmdd" in analytics data.
+// Labels such as "Reduced today" are resolved against `referenceDate`.
+export const parseRightmoveDate = (text, referenceDate = new Date()) => {
+    if (!text) return null;
+    const value = String(text).trim();
+    const relative = value.match(/\b(today|yesterday)\b/i);
+    if (relative) {
+        const offset = relative[1].toLowerCase() === "yesterday" ? DAY_MS : 0;
+        return new Date(new Date(referenceDate).getTime() - offset).toISOString().slice(0, 10);
+    }
+    let match = value.match(/(\d{2})\/(\d{2})\/(\d{4})/);
+    if (match) return `${match[3]}-${match[2]}-${match[1]}`;
+    // Sold prices use "12 Mar 2024"
+    match = value.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3})[a-z]*\s+(\d{4})\b/);
+    const month = match ? MONTHS.indexOf(match[2].toLowerCase()) + 1 : 0;
+    if (month) return `${match[3]}-${String(month).padStart(2, "0")}-${match[1].padStart(2, "0")}`;
+    match = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+    match = value.match(/^(\d{4}-\d{2}-\d{2})/);
+    return match ? match[1] : null;
+};
+
+export const toList = (value) => {
+    if (value == null || value === "") return [];
+    const items = Array.isArray(value) ? value : String(value).split(",");
+    return items.map((item) => String(item).trim()).filter(Boolean);
+};
+
+export const assertAllowed = (name, values, allowed) => {
+    const invalid = values.filter((value) => !allowed.includes(value));
+    if (invalid.length) {
+        throw new Error(`Invalid ${name}: ${invalid.join(", ")} - expected any of: ${allowed.join(", ")}`);
+    }
+};
+
+const parseOptionalInteger = (name, value, min, max) => {
+    if (value == null || value === "") return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`Invalid ${name}: ${value} - expected a whole number between ${min} and ${max}`);
+    }
+    return number;
+};
+
+// Validates the search filter inputs and maps them onto Rightmove's query parameters
+const buildFilterParams = (input) => {
+    const channel = input.channel || "buy";
+    const params = {};
+
+    const minPrice = parseOptionalInteger("minPrice", input.minPrice || null, 0, Number.MAX_SAFE_INTEGER);
+    const maxPrice = parseOptionalInteger("maxPrice", input.maxPrice || null, 0, Number.MAX_SAFE_INTEGER);
+    if (minPrice && maxPrice && minPrice > maxPrice) {
+        throw new Error(`minPrice (${minPrice}) cannot be greater than maxPrice (${maxPrice})`);
+    }
+    if (minPrice) params.minPrice = minPrice;
+    if (maxPrice) params.maxPrice = maxPrice;
+
+    const minBedrooms = parseOptionalInteger("minBedrooms", input.minBedrooms, 0, MAX_BEDROOMS);
+    const maxBedrooms = parseOptionalInteger("maxBedrooms", input.maxBedrooms, 0, MAX_BEDROOMS);
+    if (minBedrooms != null && maxBedrooms != null && minBedrooms > maxBedrooms) {
+        throw new Error(`minBedrooms (${minBedrooms}) cannot be greater than maxBedrooms (${maxBedrooms})`);
+    }
+    if (minBedrooms != null) params.minBedrooms = minBedrooms;
+    if (maxBedrooms != null) params.maxBedrooms = maxBedrooms;
+
+    const propertyTypes = toList(input.propertyTypes);
+    assertAllowed(`propertyTypes for ${channel}`, propertyTypes, PROPERTY_TYPES[channel]);
+    if (propertyTypes.length) params.propertyTypes = propertyTypes.join(",");
+
+    const mustHave = toList(input.mustHave);
+    const dontShow = toList(input.dontShow);
+    assertAllowed(`mustHave for ${channel}`, mustHave, MUST_HAVE_OPTIONS[channel]);
+    assertAllowed(`dontShow for ${channel}`, dontShow, DONT_SHOW_OPTIONS[channel]);
+    const conflicting = mustHave.filter((option) => dontShow.includes(option));
+    if (conflicting.length) {
+        throw new Error(`Options cannot be in both mustHave and dontShow: ${conflicting.join(", ")}`);
+    }
+    if (mustHave.length) params.mustHave = mustHave.join(",");
+    if (dontShow.length) params.dontShow = dontShow.join(",");
+
+    const keywords = toList(input.keywords);
+    if (keywords.length) params.keywords = keywords.join(",");
+
+    if (input.maxDaysSinceAdded != null && input.maxDaysSinceAdded !== "") {
+        const days = String(input.maxDaysSinceAdded);
+        assertAllowed("maxDaysSinceAdded", [days], ADDED_TO_SITE_OPTIONS);
+        params.maxDaysSinceAdded = days;
+    }
+
+    if (input.includeSSTC) {
+        params[channel === "rent" ? "includeLetAgreed" : "includeSSTC"] = "true";
+    }
+
+    if (input.sortBy) {
+        assertAllowed("sortBy", [input.sortBy], Object.keys(SORT_TYPES));
+        params.sortType = SORT_TYPES[input.sortBy];
+    }
+
+    return params;
+};
+
+export const buildSearchUrl = (input) => {
+    if (input.startUrl) return input.startUrl;
+    const params = new URLSearchParams();
+
+    if (input.locationIdentifier) {
+        params.append("locationIdentifier", input.locationIdentifier);
+        params.append("useLocationIdentifier", "true");
+    } else if (input.searchLocation) {
+        // Free text must be resolved first (see resolveLocationIdentifier); only known regions map directly
+        const locationKey = input.searchLocation.toLowerCase().trim();
+        const regionId = UK_REGIONS[locationKey];
+        if (!regionId) {
+            throw new Error(`Location "${input.searchLocation}" has not been resolved to a Rightmove location identifier`);
+        }
+        params.append("locationIdentifier", regionId);
+        params.append("useLocationIdentifier", "true");
+    } else {
+        // Default to London
+        params.append("locationIdentifier", UK_REGIONS.london);
+        params.append("useLocationIdentifier", "true");
+    }
+
+    const radius = String(input.radius || "0.0");
+    assertAllowed("radius", [radius], RADIUS_OPTIONS);
+    params.append("radius", radius);
+    for (const [key, value] of Object.entries(buildFilterParams(input))) {
+        params.append(key, value);
+    }
+    return `${SEARCH_URLS[input.channel] || DEFAULT_SEARCH_URL}?${params.toString()}`;
+};
+
+export const buildSoldPricesUrl = (input) => {
+    if (!input.locationIdentifier) {
+        throw new Error("Sold prices searches need a search location or location identifier");
+    }
+    const radius = String(input.radius || "0.0");
+    assertAllowed("radius", [radius], RADIUS_OPTIONS);
+    const params = new URLSearchParams({ locationIdentifier: input.locationIdentifier, radius, page: "1" });
+    return `${SOLD_PRICES_URL}?${params.toString()}`;
+};
+
+export const isSoldPricesUrl = (url) => /\/house-prices\//.test(new URL(url).pathname);
+
+export const isBranchUrl = (value) => BRANCH_URL_PATTERN.test(String(value || ""));
+
+// Accepts a branch profile URL, "BRANCH^12345" or a bare branch ID
+export const parseBranchId = (value) => {
+    const text = String(value ?? "").trim();
+    const match = text.match(BRANCH_URL_PATTERN) || text.match(/^(?:BRANCH\^)?(\d+)$/i);
+    return match ? match[1] : null;
+};
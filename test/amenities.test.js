@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { tagAmenities } from "../src/amenities.js";
+
+describe("tagAmenities", () => {
+    it("reads typed attributes from key features and the description", () => {
+        const { amenities, amenitySources } = tagAmenities({
+            keyFeatures: ["Victorian terrace", "Two reception rooms", "Double garage", "Chain free", "Communal gardens"],
+            description: "The main bedroom has an en-suite, and the second bedroom has an en suite shower room. Driveway parking for two cars.",
+        });
+        assert.deepEqual(amenities, {
+            garden: "communal",
+            parking: "driveway",
+            garage: "double",
+            chainFree: true,
+            newBuild: null,
+            retirement: null,
+            sharedOwnership: null,
+            auction: null,
+            cashBuyersOnly: null,
+            periodProperty: "victorian",
+            receptionRooms: 2,
+            enSuites: 1,
+        });
+        assert.deepEqual(amenitySources.receptionRooms, { source: "keyFeatures", confidence: "high" });
+        assert.deepEqual(amenitySources.parking, { source: "description", confidence: "medium" });
+        assert.deepEqual(amenitySources.enSuites, { source: "description", confidence: "low" });
+    });
+
+    it("trusts listing flags and lets specific values replace vague ones", () => {
+        const { amenities, amenitySources } = tagAmenities({
+            isNewHome: true,
+            price: { amount: 87500, qualifier: "auctionGuide", sharedOwnership: { sharePercent: 25 } },
+            features: ["garden", "parking"],
+            keyFeatures: ["Private rear garden", "Cash buyers only", "3 en-suites"],
+        });
+        assert.equal(amenities.newBuild, true);
+        assert.equal(amenities.sharedOwnership, true);
+        assert.equal(amenities.auction, true);
+        assert.equal(amenities.cashBuyersOnly, true);
+        assert.equal(amenities.garden, "private");
+        assert.equal(amenities.parking, "unspecified");
+        assert.equal(amenities.enSuites, 3);
+        assert.deepEqual(amenitySources.garden, { source: "keyFeatures", confidence: "high" });
+        assert.deepEqual(amenitySources.newBuild, { source: "listing", confidence: "high" });
+    });
+
+    it("reads denied attributes as absent rather than present", () => {
+        const { amenities } = tagAmenities({
+            details: { Parking: "None" },
+            keyFeatures: ["No garden", "Without a garage", "Not chain free", "No en-suite"],
+            description: "This is not an auction sale.",
+        });
+        assert.equal(amenities.garden, false);
+        assert.equal(amenities.parking, false);
+        assert.equal(amenities.garage, false);
+        assert.equal(amenities.chainFree, false);
+        assert.equal(amenities.auction, false);
+        assert.equal(amenities.enSuites, 0);
+
+        const { amenities: plain } = tagAmenities({ keyFeatures: ["No parking"], description: "No onward chain." });
+        assert.equal(plain.parking, false);
+        assert.equal(plain.chainFree, true);
+    });
+
+    it("leaves attributes nothing mentions empty", () => {
+        const { amenities, amenitySources } = tagAmenities({ description: "A flat on Rose Gardens Road." });
+        assert.equal(amenities.garden, null);
+        assert.deepEqual(amenitySources, {});
+    });
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildHeaderFingerprint, classifyResponse, createThrottle } from "../src/blocking.js";
+
+describe("classifyResponse", () => {
+    it("accepts pages with Rightmove data even when they embed a captcha widget", () => {
+        const body = '<script>window.PAGE_MODEL = {}</script><div class="g-recaptcha"></div>';
+        assert.equal(classifyResponse({ statusCode: 200, body }), "ok");
+    });
+
+    it("classifies failures by status code and page content", () => {
+        assert.equal(classifyResponse({ statusCode: 429, body: "" }), "rateLimited");
+        assert.equal(classifyResponse({ statusCode: 404, body: "<html></html>" }), "notFound");
+        assert.equal(classifyResponse({ statusCode: 403, body: "<h1>Access Denied</h1>" }), "blocked");
+        assert.equal(classifyResponse({ statusCode: 200, body: "<div id=px-captcha></div>" }), "captcha");
+        assert.equal(classifyResponse({ statusCode: 200, body: "<html><body></body></html>" }), "emptyShell");
+    });
+});
+
+describe("buildHeaderFingerprint", () => {
+    it("sends client hints that match a Chromium user agent", () => {
+        const headers = buildHeaderFingerprint(
+            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+        );
+        assert.match(headers["Sec-Ch-Ua"], /"Google Chrome";v="124"/);
+        assert.equal(headers["Sec-Ch-Ua-Platform"], '"macOS"');
+    });
+
+    it("drops client hints for Firefox", () => {
+        const headers = buildHeaderFingerprint("Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:123.0) Gecko/20100101 Firefox/123.0");
+        assert.equal(headers["Sec-Ch-Ua"], undefined);
+        assert.equal(headers["Sec-Ch-Ua-Platform"], undefined);
+    });
+});
+
+describe("createThrottle", () => {
+    it("halves concurrency when blocks pile up and raises it after a clean window", () => {
+        const throttle = createThrottle({ maxConcurrency: 5, windowSize: 10 });
+        const changes = [];
+        let concurrency = 4;
+        for (const responseClass of [...Array(5).fill("ok"), ...Array(5).fill("blocked"), ...Array(10).fill("ok")]) {
+            const next = throttle.record(responseClass, concurrency);
+            if (next) {
+                changes.push(next);
+                concurrency = next;
+            }
+        }
+        assert.deepEqual(changes, [2, 1, 2]);
+        assert.equal(throttle.counts.blocked, 5);
+        assert.equal(throttle.counts.ok, 15);
+    });
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { describe, it } from "node:test";
+
+import jpeg from "jpeg-js";
+
+import { computeImageHash, createDuplicateDetector, hammingDistance, isDuplicate, normaliseAddress } from "../src/duplicates.js";
+import { buildListing } from "./helpers.js";
+
+// An RGBA image whose brightness is given per pixel
+const drawImage = (width, height, shade) => {
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = shade(x / width, y / height);
+            data.set([value, value, value, 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+};
+
+const scene = (x, y) => Math.round(255 * Math.abs(Math.sin(x * 7 + y * 3)));
+
+describe("image hashes", () => {
+    it("survive resizing and JPEG compression but tell different photos apart", () => {
+        const original = computeImageHash(drawImage(476, 317, scene));
+        const recompressed = computeImageHash(
+            jpeg.decode(jpeg.encode(drawImage(320, 213, scene), 40).data, { useTArray: true }),
+        );
+        const other = computeImageHash(drawImage(476, 317, (x, y) => Math.round(255 * x * y)));
+
+        assert.match(original, /^[0-9a-f]{16}$/);
+        assert.ok(hammingDistance(original, recompressed) <= 6);
+        assert.ok(hammingDistance(original, other) > 6);
+    });
+});
+
+describe("duplicate matching", () => {
+    it("normalises addresses", () => {
+        assert.equal(normaliseAddress("Kings Rd., Harrogate, HG1"), "kings road, harrogate");
+        assert.equal(normaliseAddress("KINGS ROAD, Harrogate, North Yorkshire"), "kings road, harrogate");
+        assert.equal(normaliseAddress("N/A"), null);
+    });
+
+    const described = {
+        address: "kings road, harrogate",
+        bedrooms: 3,
+        propertyType: "semidetached",
+        postcode: "HG1 5JW",
+        branchId: "47123",
+        price: 425000,
+        imageHashes: [],
+    };
+    const otherAgent = { ...described, branchId: "51234" };
+
+    it("needs close prices and agreeing details", () => {
+        assert.equal(isDuplicate(described, { ...otherAgent, price: 430000 }), true);
+        assert.equal(isDuplicate(described, { ...otherAgent, price: 600000 }), false);
+        assert.equal(isDuplicate(described, { ...otherAgent, bedrooms: 4 }), false);
+        assert.equal(isDuplicate(described, { ...otherAgent, bedrooms: null }), true);
+        assert.equal(isDuplicate(described, { ...otherAgent, branchId: null }), true);
+        assert.equal(isDuplicate(described, { ...otherAgent, address: "high street, harrogate" }), false);
+        assert.equal(
+            isDuplicate(
+                { ...described, imageHashes: ["00ff00ff00ff00ff"] },
+                { ...otherAgent, address: null, imageHashes: ["00ff00ff00ff00fe"] },
+            ),
+            true,
+        );
+    });
+
+    it("needs a postcode or photo match besides the street, and different agents", () => {
+        const street = { ...described, postcode: null };
+        assert.equal(isDuplicate(street, { ...street, branchId: "51234" }), false);
+        assert.equal(isDuplicate(described, described), false);
+
+        const photos = { ...street, imageHashes: ["00ff00ff00ff00ff"] };
+        assert.equal(isDuplicate(photos, { ...photos, branchId: "51234" }), true);
+        assert.equal(isDuplicate(photos, photos), false);
+    });
+
+    it("groups listings under the first one seen", async () => {
+        const duplicates = await createDuplicateDetector({ imageCount: 0 });
+        const first = duplicates.assign(buildListing({ propertyId: "100" }));
+        // Same street, postcode and price, but the same agent branch as the first
+        const sameAgent = duplicates.assign(buildListing({ propertyId: "400" }));
+        const second = duplicates.assign(
+            buildListing({ propertyId: "200", address: "Kings Rd, Harrogate", price: { amount: 245000 }, agent: { branchId: "51234" } }),
+        );
+        const elsewhere = duplicates.assign(buildListing({ propertyId: "300", addressParts: { outcode: "HG2" } }));
+
+        assert.deepEqual([first.duplicateGroupId, first.isCanonical], ["100", true]);
+        assert.deepEqual([second.duplicateGroupId, second.isCanonical], ["100", false]);
+        assert.deepEqual([elsewhere.duplicateGroupId, elsewhere.isCanonical], ["300", true]);
+        assert.deepEqual([sameAgent.duplicateGroupId, sameAgent.isCanonical], ["400", true]);
+        assert.equal(duplicates.counts.duplicates, 1);
+
+        // A listing seen again keeps its group
+        assert.equal(duplicates.assign(buildListing({ propertyId: "200" })).duplicateGroupId, "100");
+    });
+});
+
+describe("photo hashing", () => {
+    it("hashes a page of listings' photos a few at a time", async () => {
+        const photo = Buffer.from(jpeg.encode(drawImage(120, 80, scene), 80).data);
+        let active = 0;
+        let peak = 0;
+        const server = createServer((request, response) => {
+            active += 1;
+            peak = Math.max(peak, active);
+            setTimeout(() => {
+                active -= 1;
+                response.writeHead(request.url.includes("missing") ? 404 : 200, { "content-type": "image/jpeg" });
+                response.end(photo);
+            }, 20);
+        });
+        await new Promise((resolve) => {
+            server.listen(0, resolve);
+        });
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const duplicates = await createDuplicateDetector({ imageCount: 2 });
+            const records = Array.from({ length: 6 }, (_, i) =>
+                buildListing({ propertyId: String(i), images: [`${base}/${i}-a.jpeg`, `${base}/${i === 0 ? "missing" : i}-b.jpeg`] }),
+            );
+            await duplicates.hashImages(records);
+
+            assert.ok(peak <= 4);
+            assert.deepEqual(duplicates.counts, { duplicates: 0, imagesHashed: 11, imagesFailed: 1 });
+            assert.equal(duplicates.assign(records[0]).isCanonical, true);
+            // Matched on the photo alone: no postcode and another agent
+            const other = { ...records[1], addressParts: { outcode: "HG1" }, agent: { branchId: "51234" } };
+            assert.equal(duplicates.assign(other).duplicateGroupId, "0");
+        } finally {
+            server.close();
+        }
+    });
+});
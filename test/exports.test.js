@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { csvColumns, flattenRecord, loadExportFields, toCsvLine, toGeoJsonFeature } from "../src/exports.js";
+
+const fields = await loadExportFields();
+
+const record = {
+    propertyId: "151234567",
+    address: "Kings Road, Harrogate",
+    price: { amount: 425000, currency: "GBP", displayPrice: "£425,000", qualifier: "guidePrice" },
+    agent: "Verity Frearson",
+    keyFeatures: ["Three bedrooms", "South facing garden"],
+    listingHistory: [{ event: "added", date: "2024-11-01" }],
+    location: { latitude: 53.99891, longitude: -1.53582 },
+};
+
+describe("dataset exports", () => {
+    it("spreads view object fields over fixed columns", () => {
+        const columns = csvColumns(fields);
+        assert.deepEqual(columns.slice(0, 5), ["propertyId", "address", "price.amount", "price.currency", "price.displayPrice"]);
+        assert.ok(columns.includes("agent.name") && columns.includes("location.lat"));
+        for (const field of ["floorplans", "deposit", "letAvailableDate", "minimumTenancyMonths", "removedReason"]) {
+            assert.ok(columns.includes(field), `${field} is exported`);
+        }
+        assert.ok(!columns.includes("floorplan"));
+    });
+
+    it("flattens records the same way whatever shape the agent and location take", () => {
+        const row = flattenRecord(record, fields);
+        assert.equal(row["price.amount"], 425000);
+        assert.equal(row["agent.name"], "Verity Frearson");
+        assert.equal(row.keyFeatures, "Three bedrooms | South facing garden");
+        assert.equal(row.listingHistory, '[{"event":"added","date":"2024-11-01"}]');
+        assert.equal(row["location.lat"], 53.99891);
+    });
+
+    it("keeps price ranges, POA and shared ownership terms", () => {
+        const range = flattenRecord({ price: { amount: 300000, minAmount: 300000, maxAmount: 450000, priceOnApplication: false } }, fields);
+        assert.equal(range["price.minAmount"], 300000);
+        assert.equal(range["price.maxAmount"], 450000);
+        assert.equal(range["price.priceOnApplication"], false);
+
+        const share = flattenRecord({ price: { amount: 87500, sharedOwnership: { sharePercent: 25, fullMarketValue: 350000 } } }, fields);
+        assert.equal(share["price.sharedOwnership.sharePercent"], 25);
+        assert.equal(share["price.sharedOwnership.fullMarketValue"], 350000);
+        assert.equal(flattenRecord({ price: { amount: null, priceOnApplication: true } }, fields)["price.priceOnApplication"], true);
+        assert.ok(csvColumns(fields).includes("price.sharedOwnership.fullMarketValue"));
+    });
+
+    it("quotes CSV cells that need it", () => {
+        assert.equal(toCsvLine(["a", 'say "hi"', "x,y", null, 3]), 'a,"say ""hi""","x,y",,3');
+    });
+
+    it("builds GeoJSON points in longitude, latitude order and skips records without coordinates", () => {
+        const feature = toGeoJsonFeature(record, fields);
+        assert.deepEqual(feature.geometry, { type: "Point", coordinates: [-1.53582, 53.99891] });
+        assert.equal(feature.properties["location.lat"], undefined);
+        assert.equal(toGeoJsonFeature({ ...record, location: null }, fields), null);
+    });
+});
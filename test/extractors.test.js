@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { extractPropertyFacts } from "../src/extractors.js";
+
+describe("extractPropertyFacts", () => {
+    it("reads council tax bands and EPC ratings from listing text", () => {
+        const facts = extractPropertyFacts({
+            texts: ["Council Tax Band: D", "EPC rating C (potential B)"],
+        });
+        assert.equal(facts.councilTaxBand, "D");
+        assert.equal(facts.epcCurrentRating, "C");
+        assert.equal(facts.epcPotentialRating, "B");
+
+        const written = extractPropertyFacts({ texts: ["Council tax band E. Potential EPC rating: A"] });
+        assert.equal(written.councilTaxBand, "E");
+        assert.equal(written.epcPotentialRating, "A");
+    });
+
+    it("ignores rating letters that aren't attached to EPC or council tax wording", () => {
+        const facts = extractPropertyFacts({
+            texts: [
+                "A generous plot offering the potential of a fourth bedroom, subject to planning.",
+                "Council tax a matter for the buyer to verify.",
+            ],
+        });
+        assert.equal(facts.councilTaxBand, null);
+        assert.equal(facts.epcCurrentRating, null);
+        assert.equal(facts.epcPotentialRating, null);
+    });
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { load as cheerioLoad } from "cheerio";
+
+import { detectRemovedListing } from "../src/extractors.js";
+import { loadOfflinePages, parseOfflinePages } from "../src/offline.js";
+
+// Each fixture directory holds Rightmove-shaped pages and expected.json, the records an offline run
+// writes for them. The pages are synthetic, written by hand with made-up property IDs rather than saved
+// from the live site, so they pin parser behaviour but can't show markup drift. Run with
+// UPDATE_FIXTURES=1 to rewrite expected.json after an intended output change.
+const FIXTURES_DIR = fileURLToPath(new URL("./fixtures/", import.meta.url));
+const SCRAPED_AT = "2025-01-15T12:00:00.000Z";
+
+const fixtures = (await readdir(FIXTURES_DIR, { withFileTypes: true }))
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+
+describe("page fixtures", () => {
+    for (const fixture of fixtures) {
+        it(`parses ${fixture}`, async () => {
+            const directory = `${FIXTURES_DIR}${fixture}`;
+            const pages = await loadOfflinePages({ directory });
+            const records = JSON.parse(JSON.stringify(parseOfflinePages(pages, { scrapedAt: SCRAPED_AT })));
+
+            const expectedPath = `${directory}/expected.json`;
+            if (process.env.UPDATE_FIXTURES) {
+                await writeFile(expectedPath, `${JSON.stringify(records, null, 2)}\n`);
+                return;
+            }
+            assert.deepEqual(records, JSON.parse(await readFile(expectedPath, "utf8")));
+        });
+    }
+});
+
+const fixturePropertyPage = await readFile(`${FIXTURES_DIR}search-model/property-151234567.html`, "utf8");
+
+describe("detectRemovedListing", () => {
+    const html = fixturePropertyPage;
+    const url = "https://www.rightmove.co.uk/properties/151234567";
+
+    it("passes a live listing", () => {
+        assert.equal(detectRemovedListing(cheerioLoad(html), html, "151234567", url), null);
+    });
+
+    it("spots redirects, archived listings and removal notices", () => {
+        const archived = html.replace('"archived": false', '"archived": true');
+        const notice = "<html><body><h1>This property has been removed by the agent.</h1></body></html>";
+        assert.equal(detectRemovedListing(cheerioLoad(html), html, "151234567", "https://www.rightmove.co.uk/property-for-sale/find.html"), "redirected");
+        assert.equal(detectRemovedListing(cheerioLoad(archived), archived, "151234567", url), "archived");
+        assert.equal(detectRemovedListing(cheerioLoad(notice), notice, "151234567", url), "removed");
+    });
+});
@@ -0,0 +1,23 @@
+// A detail-page listing record with every field filled in; tests override the fields they exercise
+export const buildListing = (overrides = {}) => ({
+    propertyId: "151234567",
+    url: "https://www.rightmove.co.uk/properties/151234567",
+    title: "2 bedroom flat for sale",
+    address: "Kings Road, Harrogate, HG1",
+    addressParts: { outcode: "HG1", postcode: "HG1 5JW" },
+    price: { amount: 250000, currency: "GBP" },
+    bedrooms: 2,
+    bathrooms: 1,
+    propertyType: "Flat",
+    status: "available",
+    isReduced: false,
+    extractionMethod: "page-model",
+    addedDate: "2025-01-10",
+    location: { lat: 53.99891, lng: -1.53582 },
+    keyFeatures: ["Garden"],
+    tenure: "Leasehold",
+    description: "A flat",
+    images: ["https://media.rightmove.co.uk/48k/47123/151234567/47123_IMG_00_0000.jpeg"],
+    agent: { name: "Verity Frearson", branchId: "47123" },
+    ...overrides,
+});
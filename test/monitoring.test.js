@@ -0,0 +1,29 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+
+import { createMonitor } from "../src/monitoring.js";
+import { buildListing } from "./helpers.js";
+
+process.env.CRAWLEE_STORAGE_DIR = await mkdtemp(join(tmpdir(), "monitoring-test-"));
+after(() => rm(process.env.CRAWLEE_STORAGE_DIR, { recursive: true, force: true }));
+
+describe("createMonitor", () => {
+    it("hashes content before media downloads replace the remote URLs", async () => {
+        const listing = buildListing({ searchLabels: ["harrogate"], scrapedAt: "2025-01-15T12:00:00.000Z" });
+        const firstRun = await createMonitor("snapshots", ["harrogate"]);
+        assert.equal(firstRun.check(listing).changeType, "new");
+        await firstRun.save(["harrogate"]);
+
+        const secondRun = await createMonitor("snapshots", ["harrogate"]);
+        assert.equal(secondRun.prepare(listing, ["harrogate"]), false);
+        assert.equal(secondRun.prepare({ ...listing, price: { amount: 240000 } }, ["harrogate"]), true);
+
+        // prepare() saw the remote URLs, so the stored copy doesn't read as an update
+        secondRun.prepare(listing, ["harrogate"]);
+        assert.equal(secondRun.check({ ...listing, images: ["3f2a9c"], mediaStore: "rightmove-media" }), null);
+        assert.equal(secondRun.counts.unchanged, 1);
+    });
+});
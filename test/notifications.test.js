@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { describe, it } from "node:test";
+
+import { buildPayload, isNotifiable, parseWebhooks, signPayload } from "../src/notifications.js";
+
+const listing = {
+    propertyId: "151234567",
+    url: "https://www.rightmove.co.uk/properties/151234567",
+    address: "Kings Road, Harrogate <HG1>",
+    price: { displayPrice: "£425,000" },
+    bedrooms: 3,
+    propertyType: "Semi-Detached",
+};
+
+describe("webhook notifications", () => {
+    it("accepts URL strings and { url, format } objects", () => {
+        assert.deepEqual(parseWebhooks(["https://example.com/a", { url: "https://hooks.slack.com/x", format: "slack" }]), [
+            { url: "https://example.com/a", format: "json" },
+            { url: "https://hooks.slack.com/x", format: "slack" },
+        ]);
+        assert.throws(() => parseWebhooks(["ftp://example.com"]), /needs an http\(s\) URL/);
+        assert.throws(() => parseWebhooks([{ url: "https://example.com", format: "xml" }]), /Invalid webhook format/);
+    });
+
+    it("only alerts on listings that are new to the run", () => {
+        assert.equal(isNotifiable(listing), true);
+        assert.equal(isNotifiable({ ...listing, changeType: "new" }), true);
+        assert.equal(isNotifiable({ ...listing, changeType: "priceChanged" }), false);
+        assert.equal(isNotifiable({ recordType: "agentBranch", branchId: "47123" }), false);
+        assert.equal(isNotifiable({ ...listing, recordType: "soldProperty" }), false);
+    });
+
+    it("builds a Slack message with escaped listing lines", () => {
+        const { text } = buildPayload("slack", [listing], {});
+        assert.equal(
+            text,
+            "*1 new Rightmove listing*\n• <https://www.rightmove.co.uk/properties/151234567|Kings Road, Harrogate &lt;HG1&gt;> - £425,000 · 3 bed · Semi-Detached",
+        );
+    });
+
+    it("signs the exact body with HMAC-SHA256", () => {
+        const body = JSON.stringify(buildPayload("json", [listing], { runId: "run-1" }));
+        const expected = createHmac("sha256", "secret").update(body).digest("hex");
+        assert.equal(signPayload(body, "secret"), `sha256=${expected}`);
+    });
+});
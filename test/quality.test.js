@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildCardRecord, parseSearchResultProperty } from "../src/extractors.js";
+import { createQualityTracker } from "../src/quality.js";
+import { buildListing } from "./helpers.js";
+
+describe("createQualityTracker", () => {
+    it("measures fill rates and skips non-listing records", () => {
+        const quality = createQualityTracker();
+        for (let i = 0; i < 10; i++) quality.add(buildListing({ description: i < 5 ? "A flat" : null, address: i === 0 ? "N/A" : "1 High Street" }));
+        quality.add({ recordType: "branch", name: "Agent" });
+
+        const report = quality.buildReport();
+        assert.equal(report.records, 10);
+        assert.equal(report.addressFallbacks, 1);
+        assert.deepEqual(report.extractionMethods, { "page-model": 10 });
+        assert.equal(report.fields.description.rate, 0.5);
+        assert.equal(report.fields.address.rate, 0.9);
+        assert.deepEqual(
+            report.alerts.map((alert) => [alert.field, alert.reason]),
+            [
+                ["address", "belowThreshold"],
+                ["description", "belowThreshold"],
+            ],
+        );
+    });
+
+    it("alerts on a drop from the baseline and honours threshold overrides", () => {
+        const quality = createQualityTracker();
+        for (let i = 0; i < 10; i++) quality.add(buildListing({ bedrooms: i < 7 ? 2 : null }));
+
+        const baseline = { fields: { bedrooms: { rate: 1 } } };
+        const report = quality.buildReport({ baseline, tolerance: 0.2 });
+        assert.deepEqual(report.alerts, [{ field: "bedrooms", reason: "belowBaseline", rate: 0.7, baselineRate: 1 }]);
+        assert.deepEqual(quality.buildReport({ thresholds: { bedrooms: 0.8 } }).alerts[0].reason, "belowThreshold");
+    });
+
+    it("measures card records without detail fields, counting the main image as images", () => {
+        const quality = createQualityTracker();
+        for (let i = 0; i < 10; i++) {
+            const card = parseSearchResultProperty({
+                id: 151234560 + i,
+                displayAddress: "Kings Road, Harrogate, HG1",
+                price: { amount: 250000, displayPrices: [{ displayPrice: "£250,000" }] },
+                bedrooms: 2,
+                bathrooms: 1,
+                propertySubType: "Flat",
+                propertyImages: { mainImageSrc: "https://media.rightmove.co.uk/48k/47123/1/47123_IMG_00_0000.jpeg" },
+                customer: { branchDisplayName: "Verity Frearson, Harrogate", branchId: 47123 },
+                firstVisibleDate: "2025-01-10T09:00:00Z",
+                location: { latitude: 53.99891, longitude: -1.53582 },
+            });
+            quality.add(buildCardRecord(card, "search-model"));
+        }
+
+        const report = quality.buildReport();
+        assert.equal(report.fields.images.rate, 1);
+        assert.equal(report.fields.description.measured, 0);
+        assert.deepEqual(report.alerts, []);
+    });
+
+    it("does not alert on small samples and survives a state round trip", () => {
+        const quality = createQualityTracker();
+        quality.add(buildListing({ description: null }));
+        assert.deepEqual(quality.buildReport().alerts, []);
+
+        const restored = createQualityTracker();
+        restored.restoreState(JSON.parse(JSON.stringify(quality.getState())));
+        assert.deepEqual(restored.buildReport().fields, quality.buildReport().fields);
+    });
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildSearchPlans, parsePropertyIds, splitSearchUrl } from "../src/searches.js";
+
+const params = (url) => Object.fromEntries(new URL(url).searchParams);
+
+describe("splitSearchUrl", () => {
+    it("splits an unbounded sale search on a dropdown price step", () => {
+        const [lower, upper] = splitSearchUrl("https://www.rightmove.co.uk/property-for-sale/find.html?locationIdentifier=REGION%5E87490&index=48");
+        assert.deepEqual(params(lower), { locationIdentifier: "REGION^87490", maxPrice: "300000" });
+        assert.deepEqual(params(upper), { locationIdentifier: "REGION^87490", minPrice: "300001" });
+    });
+
+    it("uses monthly rent steps for lettings searches", () => {
+        const [lower, upper] = splitSearchUrl("https://www.rightmove.co.uk/property-to-rent/find.html?minPrice=1000&maxPrice=1500");
+        assert.deepEqual(params(lower), { minPrice: "1000", maxPrice: "1250" });
+        assert.deepEqual(params(upper), { minPrice: "1251", maxPrice: "1500" });
+    });
+
+    it("falls back to bedrooms once no price step fits inside the band", () => {
+        const [lower, upper] = splitSearchUrl("https://www.rightmove.co.uk/property-for-sale/find.html?minPrice=300001&maxPrice=325000&minBedrooms=2");
+        assert.equal(params(lower).maxBedrooms, "6");
+        assert.equal(params(upper).minBedrooms, "7");
+    });
+
+    it("returns null when the band cannot be narrowed", () => {
+        const url = "https://www.rightmove.co.uk/property-for-sale/find.html?minPrice=300001&maxPrice=325000&minBedrooms=3&maxBedrooms=3";
+        assert.equal(splitSearchUrl(url), null);
+    });
+});
+
+describe("parsePropertyIds", () => {
+    it("accepts IDs and property URLs, dropping repeats", () => {
+        assert.deepEqual(
+            parsePropertyIds(["151234567", "https://www.rightmove.co.uk/properties/152345678#/?channel=RES_BUY", " 151234567 "]),
+            ["151234567", "152345678"],
+        );
+    });
+
+    it("rejects anything without a property ID", () => {
+        assert.throws(() => parsePropertyIds(["https://www.rightmove.co.uk/property-for-sale/find.html"]), /Invalid property/);
+    });
+});
+
+describe("buildSearchPlans", () => {
+    it("runs no search for a property list alone, whatever the form prefills", async () => {
+        const plans = await buildSearchPlans({ properties: ["151234567"], searchLocation: "London", maxResults: 50, maxPages: 5 });
+        assert.deepEqual(plans, []);
+    });
+});
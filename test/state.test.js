@@ -0,0 +1,20 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { decodeState, encodeState } from "../src/state.js";
+
+describe("crawl state encoding", () => {
+    it("round-trips nested Maps and Sets through JSON", () => {
+        const state = {
+            propertySearches: new Map([["151234567", new Set(["harrogate", "york"])]]),
+            searchStates: new Map([["harrogate", { bands: new Map([["https://example.com", { seenIds: new Set(["1"]) }]]) }]]),
+            propertyDataBatch: [{ propertyId: "151234567", price: null }],
+        };
+        const stored = JSON.parse(JSON.stringify(encodeState(state)));
+        assert.deepEqual(decodeState(stored), state);
+    });
+
+    it("treats a missing state as a fresh start", () => {
+        assert.equal(decodeState(null), null);
+    });
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createMarketSummary } from "../src/summary.js";
+import { buildListing } from "./helpers.js";
+
+describe("createMarketSummary", () => {
+    it("groups listings by district, channel, property type and bedrooms", () => {
+        const summary = createMarketSummary();
+        summary.add(buildListing({ price: { amount: 200000 }, isReduced: true, pricePerSqFt: 300 }));
+        summary.add(buildListing({ price: { amount: 250000 }, status: "sstc" }));
+        summary.add(buildListing({ price: { amount: 300000 }, pricePerSqFt: 400 }));
+        summary.add(buildListing({ price: { amount: null, priceOnApplication: true } }));
+        summary.add(buildListing({ price: { amount: 1200, frequency: "monthly", monthlyAmount: 1200 } }));
+        summary.add(buildListing({ price: { amount: 400000 }, bedrooms: 3 }));
+        summary.add({ recordType: "soldProperty", price: { amount: 1 } });
+
+        const { overall, districts, markets } = summary.build();
+        assert.equal(overall.listings, 6);
+        assert.deepEqual(
+            districts.map(({ district, channel, listings }) => [district, channel, listings]),
+            [
+                ["HG1", "rent", 1],
+                ["HG1", "sale", 5],
+            ],
+        );
+        assert.deepEqual(markets[1], {
+            district: "HG1",
+            channel: "sale",
+            propertyType: "Flat",
+            bedrooms: 2,
+            listings: 4,
+            pricedListings: 3,
+            medianPrice: 250000,
+            meanPrice: 250000,
+            minPrice: 200000,
+            maxPrice: 300000,
+            sizedListings: 2,
+            medianPricePerSqFt: 350,
+            reducedShare: 0.25,
+            underOfferShare: 0.25,
+        });
+    });
+
+    it("carries its counts through a state round trip", () => {
+        const summary = createMarketSummary();
+        summary.add(buildListing({ price: { amount: 200000 } }));
+        const restored = createMarketSummary();
+        restored.restoreState(JSON.parse(JSON.stringify(summary.getState())));
+        restored.add(buildListing({ price: { amount: 300000 } }));
+        assert.equal(restored.build().markets[0].medianPrice, 250000);
+    });
+});